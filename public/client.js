@@ -13,8 +13,12 @@
  *   1. Add stats to CHARACTERS in server.js
  *   2. In buildWeaponMesh() below, add a case for the weapon name
  *
- * HOW TO ADD MAP OBJECTS:
- *   Add to MAP_BOXES in server.js — client reads them from 'map_data' event
+ * HOW TO ADD MAPS:
+ *   Add a JSON file to maps/ on the server (or use the editor at /editor)
+ *   — buildMap() in world.js builds whatever arrives in 'map_data'
+ *
+ * Scene setup and map building live in world.js, which index.html loads
+ * first and the map editor shares.
  *
  * HOW TO SWITCH TO THIRD-PERSON:
  *   Change CAMERA_MODE to 'third' below
@@ -31,8 +35,10 @@ const JUMP_V        = 10;
 const GRAVITY       = -28;
 const PLAYER_H      = 1.8;
 const PLAYER_R      = 0.4;
-const WINS_REQ      = 15;
-const FOV           = 75;
+const STEP_HEIGHT   = 0.5;       // highest ledge you walk up onto (matches server)
+const WINS_REQ      = 15;        // default kill goal — rooms may override
+const INTERP_DELAY_MS    = 100;  // remote players/bullets are drawn this far in the past
+const MAX_EXTRAPOLATE_MS = 200;  // how long to keep them moving when packets stop
 
 // ═══════════════════════════════════════════════
 // CHARACTER DEFINITIONS  (mirrors server)
@@ -45,52 +51,12 @@ const CHARS = {
   Maybelle:{ color:0xffeb3b, maxHp:110, spd:6.5, maxAmmo:8,  reloadMs:1500, weapon:'Revolver',       role:'Duelist'   }
 };
 
-// ═══════════════════════════════════════════════
-// THREE.JS SETUP
-// ═══════════════════════════════════════════════
-const scene    = new THREE.Scene();
-const camera   = new THREE.PerspectiveCamera(FOV, innerWidth / innerHeight, 0.1, 500);
-const renderer = new THREE.WebGLRenderer({ canvas: document.getElementById('cvs'), antialias: true });
-
-renderer.setPixelRatio(Math.min(devicePixelRatio, 2));
-renderer.setSize(innerWidth, innerHeight);
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type    = THREE.PCFSoftShadowMap;
-renderer.setClearColor(0x080c18);
-renderer.toneMapping       = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.1;
-
-window.addEventListener('resize', () => {
-  renderer.setSize(innerWidth, innerHeight);
-  camera.aspect = innerWidth / innerHeight;
-  camera.updateProjectionMatrix();
-});
-
-// ── Fog ──
-scene.fog = new THREE.FogExp2(0x080c18, 0.012);
-
-// ── Lighting ──
-const ambient = new THREE.AmbientLight(0x1a2040, 1.2);
-scene.add(ambient);
-
-const sun = new THREE.DirectionalLight(0xffeedd, 1.8);
-sun.position.set(20, 50, 30);
-sun.castShadow = true;
-sun.shadow.mapSize.set(2048, 2048);
-sun.shadow.camera.near = 0.5;
-sun.shadow.camera.far  = 200;
-sun.shadow.camera.left = sun.shadow.camera.bottom = -100;
-sun.shadow.camera.right = sun.shadow.camera.top    =  100;
-scene.add(sun);
-
-// Blue fill light from below
-const fill = new THREE.PointLight(0x0040aa, 0.6, 200);
-fill.position.set(0, 1, 0);
-scene.add(fill);
-
-// ═══════════════════════════════════════════════
-// SCENE HELPERS
-// ═══════════════════════════════════════════════
+/** Display color for a player: team color in team modes, else character color */
+function playerColor(p) {
+  if (p.team && TEAM_COLORS[p.team]) return TEAM_COLORS[p.team];
+  const ch = CHARS[p.character];
+  return ch ? ch.color : 0xffffff;
+}
 
 // ═══════════════════════════════════════════════
 // AUDIO ENGINE  (Web Audio API — no external files needed)
@@ -186,6 +152,14 @@ const SFX = {
     makeOsc(320, 'sine', t, 0.12, 0.35, 160);
     makeNoise(0.08, 0.25, 1200, t);
   },
+  hitmarker(t = _ac?.currentTime || 0) {
+    makeOsc(1400, 'square', t, 0.04, 0.10);
+  },
+  headshot(t = _ac?.currentTime || 0) {
+    // Bright two-tone ping
+    makeOsc(1760, 'triangle', t, 0.06, 0.22);
+    makeOsc(2350, 'triangle', t + 0.05, 0.10, 0.18);
+  },
   kill(t = _ac?.currentTime || 0) {
     // Rising arpeggio
     [0, 0.08, 0.16, 0.26].forEach((offset, i) => {
@@ -223,14 +197,14 @@ function playSound(name) {
   if (fn) fn(_ac.currentTime);
 }
 
-/** Play the weapon shoot sound appropriate for the current character */
+/** Play the shoot sound for the weapon in hand */
 function playShootSound() {
   if (!myChar) return;
   const map = {
-    Andree: 'shoot_rifle', Chesney: 'shoot_shotgun',
-    Denver: 'shoot_smg',   Fischer: 'shoot_sniper', Maybelle: 'shoot_revolver'
+    'Assault Rifle': 'shoot_rifle', Shotgun: 'shoot_shotgun',
+    SMG: 'shoot_smg', Sniper: 'shoot_sniper', Revolver: 'shoot_revolver'
   };
-  playSound(map[myChar] || 'shoot_rifle');
+  playSound(map[local.weapon] || 'shoot_rifle');
 }
 
 // ── Ambient drone (subtle background atmosphere) ──
@@ -331,18 +305,6 @@ function toggleSound() {
   document.addEventListener(ev, initAudio, { once: true })
 );
 
-/** Create a box mesh with optional emissive glow */
-function makeBox(w, h, d, color, emissive = 0x000000, emissiveIntensity = 0) {
-  const geo = new THREE.BoxGeometry(w * 2, h * 2, d * 2);
-  const mat = new THREE.MeshStandardMaterial({
-    color, emissive, emissiveIntensity, roughness: 0.7, metalness: 0.2
-  });
-  const mesh = new THREE.Mesh(geo, mat);
-  mesh.castShadow    = true;
-  mesh.receiveShadow = true;
-  return mesh;
-}
-
 /** Build a character mesh (colored box body + head + weapon) */
 function buildCharMesh(character) {
   const ch    = CHARS[character] || CHARS.Andree;
@@ -481,90 +443,281 @@ function updateNameTag(tagGroup, name, color) {
   tagGroup._tex.needsUpdate = true;
 }
 
+let flagCache = null;   // latest 'flags' array from 'gs' (null outside CTF)
+
+let hillCache = null;   // latest 'hill' object from 'gs' (null outside hill modes)
+
+/** Move/show CTF flags from server state and refresh the HUD carrier line */
+function updateFlags(flags) {
+  flagCache = flags;
+  for (const team in flagMeshes) {
+    const { flag, pad } = flagMeshes[team];
+    const f = flags && flags.find(fl => fl.team === team);
+    pad.visible  = !!f;
+    flag.visible = !!f && f.carrierId !== myId;   // don't block our own view
+    if (!f) continue;
+    const carrierMesh = f.carrierId && remoteMeshes[f.carrierId];
+    if (carrierMesh) {
+      flag.position.set(carrierMesh.position.x, carrierMesh.position.y + 0.4, carrierMesh.position.z);
+    } else {
+      flag.position.set(f.x, f.y, f.z);
+    }
+  }
+  updateFlagStatus(flags);
+}
+
+/** Hill side (team name or player id) → display name and color */
+function hillSide(side) {
+  if (!side) return null;
+  if (TEAM_COLORS[side]) return { name: `${side.toUpperCase()} TEAM`, color: TEAM_COLORS[side] };
+  const p = serverPlayerCache.find(pl => pl.id === side);
+  return p ? { name: p.name, color: playerColor(p) } : null;
+}
+
+/** Tint the hill ring by owner and refresh the HUD capture bar */
+function updateHill(hill) {
+  hillCache = hill;
+  const wrap = document.getElementById('hill-wrap');
+  if (hillMesh) hillMesh.visible = !!hill;
+  if (!hill) { wrap.style.display = 'none'; return; }
+
+  const owner    = hillSide(hill.owner);
+  const capturer = hillSide(hill.capturer);
+  const color    = hill.contested ? 0xff1744 : owner ? owner.color : 0xffffff;
+  if (hillMesh) {
+    hillMesh.userData.ring.material.color.setHex(color);
+    hillMesh.userData.wall.material.color.setHex(color);
+  }
+
+  const hex = c => '#' + c.toString(16).padStart(6,'0');
+  wrap.style.display = 'flex';
+  document.getElementById('hill-lbl').textContent =
+    hill.contested ? 'HILL CONTESTED'
+    : capturer     ? `${capturer.name} CAPTURING`
+    : owner        ? `HILL: ${owner.name}`
+    : 'HILL: NEUTRAL';
+  document.getElementById('hill-lbl').style.color = hex(color);
+  const fill = document.getElementById('hill-fill');
+  fill.style.width      = (capturer ? hill.progress * 100 : owner ? 100 : 0) + '%';
+  fill.style.background = hex(capturer ? capturer.color : color);
+}
+
 // ═══════════════════════════════════════════════
-// WORLD BUILDING
+// MATCH FLOW — warmup, ready-up, countdown, clock
 // ═══════════════════════════════════════════════
-let mapBoxMeshes = [];
-let mapW = 80, mapD = 80;
-
-function buildMap(boxes) {
-  // Floor
-  const floorGeo = new THREE.PlaneGeometry(mapW * 2, mapD * 2, 40, 40);
-  const floorMat = new THREE.MeshStandardMaterial({
-    color: 0x0c1020, roughness: 0.9, metalness: 0.1
-  });
-  // Add grid pattern via wireframe overlay
-  const floor = new THREE.Mesh(floorGeo, floorMat);
-  floor.rotation.x = -Math.PI / 2;
-  floor.receiveShadow = true;
-  scene.add(floor);
-
-  // Floor grid lines
-  const gridHelper = new THREE.GridHelper(mapW * 2, 40, 0x1a2040, 0x0e1428);
-  gridHelper.position.y = 0.01;
-  scene.add(gridHelper);
-
-  // Sky — gradient via a large sphere
-  const skyGeo = new THREE.SphereGeometry(400, 16, 8);
-  const skyMat = new THREE.MeshBasicMaterial({
-    color: 0x060c1a, side: THREE.BackSide
-  });
-  scene.add(new THREE.Mesh(skyGeo, skyMat));
-
-  // Stars (random points)
-  const starCount = 600;
-  const starGeo   = new THREE.BufferGeometry();
-  const starVerts = new Float32Array(starCount * 3);
-  for (let i = 0; i < starCount * 3; i++) {
-    starVerts[i] = (Math.random() - 0.5) * 700;
+
+/** Movement and shooting are locked (match countdown / Elimination buy phase) */
+function isFrozenLocal() {
+  return matchCache?.phase === 'countdown' || roundCache?.phase === 'buy';
+}
+
+function toggleReady() {
+  if (matchCache?.phase !== 'warmup') return;
+  local.ready = !local.ready;
+  socket.emit('ready', { ready: local.ready });
+  playSound(local.ready ? 'reload' : 'empty_click');
+}
+
+function updateMatch(match, players) {
+  matchCache = match;
+  const clock  = document.getElementById('match-clock');
+  const prompt = document.getElementById('match-prompt');
+  const left   = match.timeLeft;
+
+  clock.textContent =
+    match.phase === 'live'     ? (left !== null ? formatClock(left) : '')
+    : match.phase === 'overtime' ? `OT ${formatClock(left)}`
+    : match.phase === 'warmup'   ? 'WARMUP'
+    : '';
+  clock.classList.toggle('urgent', match.phase === 'overtime' || (left !== null && left < 30000));
+
+  if (match.phase === 'warmup') {
+    const ready = players.filter(p => p.ready).length;
+    local.ready = !!players.find(p => p.id === myId)?.ready;
+    prompt.style.display = 'block';
+    prompt.textContent = `WARMUP · ${ready}/${players.length} READY · STARTS IN ${formatClock(left)} — ` +
+      (local.ready ? 'READY ✓' : IS_MOBILE ? 'TAP HERE TO READY UP' : 'PRESS F TO READY UP');
+  } else if (match.phase === 'countdown') {
+    prompt.style.display = 'block';
+    prompt.textContent = `MATCH STARTS IN ${Math.ceil(left / 1000)}`;
+  } else {
+    prompt.style.display = 'none';
   }
-  starGeo.setAttribute('position', new THREE.BufferAttribute(starVerts, 3));
-  scene.add(new THREE.Points(starGeo, new THREE.PointsMaterial({ color:0xaaaaff, size:0.4 })));
-
-  // Map boundary glow strips
-  const glowMat = new THREE.MeshBasicMaterial({ color: 0x00e5ff, transparent:true, opacity:0.35 });
-  [[mapW, 0, 0, 0], [-mapW, 0, 0, 0], [0, 0, mapD, Math.PI/2], [0, 0, -mapD, Math.PI/2]].forEach(([x,_,z,ry]) => {
-    const strip = new THREE.Mesh(new THREE.PlaneGeometry(mapW * 2, 0.08), glowMat);
-    strip.position.set(x, 0.05, z);
-    strip.rotation.y = ry; strip.rotation.x = -Math.PI/2;
-    scene.add(strip);
-  });
+}
+
+// ═══════════════════════════════════════════════
+// ELIMINATION — rounds, buy menu, loadout
+// ═══════════════════════════════════════════════
 
-  // Build map boxes (walls, crates, towers)
-  boxes.forEach((b, i) => {
-    const isWall = i < 4;
-    const color  = isWall ? 0x1a2040 : 0x1c2438;
-    const emis   = isWall ? 0x0a1020 : 0x0c1830;
+/** Switch the local view model, HUD and stats to a (possibly bought) weapon */
+function equipLocalWeapon(weapon) {
+  local.weapon = weapon;
+  const owner  = Object.values(CHARS).find(c => c.weapon === weapon);
+  document.getElementById('weapon-name').textContent = weapon;
+  buildViewModel(weapon, owner ? owner.color : 0xffffff);
+}
 
-    const mesh = makeBox(b.w, b.h, b.d, color, emis, 0.3);
-    mesh.position.set(b.x, b.y, b.z);
+/** Reload time for the weapon in hand (bought weapons use their owner's stats) */
+function weaponReloadMs() {
+  const owner = Object.values(CHARS).find(c => c.weapon === local.weapon) || CHARS[myChar];
+  return owner?.reloadMs || 1500;
+}
 
-    // Glow edge on top of cover boxes
-    if (!isWall) {
-      const edgeGeo = new THREE.EdgesGeometry(mesh.geometry);
-      const edgeMat = new THREE.LineBasicMaterial({ color: 0x00e5ff, transparent: true, opacity: 0.3 });
-      mesh.add(new THREE.LineSegments(edgeGeo, edgeMat));
-    }
+function formatClock(ms) {
+  const sec = Math.ceil(ms / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
 
-    scene.add(mesh);
-    mapBoxMeshes.push({ mesh, box: b });
+function updateRound(round) {
+  const prevPhase = roundCache?.phase;
+  roundCache = round;
+  const el = document.getElementById('round-info');
+  if (!round) { el.style.display = 'none'; return; }
+
+  el.style.display = 'block';
+  el.textContent =
+    round.phase === 'waiting' ? 'WAITING FOR BOTH TEAMS'
+    : round.phase === 'buy'   ? `ROUND ${round.number} · BUY ${formatClock(round.timeLeft)}`
+    : round.phase === 'live'  ? `ROUND ${round.number} · ${formatClock(round.timeLeft)}`
+    : `ROUND ${round.number} OVER`;
+
+  if (prevPhase === 'buy' && round.phase !== 'buy') closeBuyMenu();
+}
+
+let roundBannerTimer = null;
+function showRoundBanner(title, sub, color = 0xffffff) {
+  const el = document.getElementById('round-banner');
+  document.getElementById('rb-title').textContent = title;
+  document.getElementById('rb-title').style.color = '#' + color.toString(16).padStart(6,'0');
+  document.getElementById('rb-sub').textContent   = sub || '';
+  el.classList.add('vis');
+  clearTimeout(roundBannerTimer);
+  roundBannerTimer = setTimeout(() => el.classList.remove('vis'), 3000);
+}
+
+/** One row per shop item; number keys 1..N buy while the menu is open */
+function buildBuyMenu() {
+  const list = document.getElementById('buy-list');
+  list.textContent = '';
+  if (!shopItems) return;
+  Object.entries(shopItems).forEach(([id, item], i) => {
+    const row = document.createElement('button');
+    row.className = 'buy-item';
+    row.dataset.item = id;
+    row.innerHTML = `<span class="bi-key">${i + 1}</span><span class="bi-label">${item.label}</span><span class="bi-price">$${item.price}</span>`;
+    row.addEventListener('click', () => socket.emit('buy', { item: id }));
+    list.appendChild(row);
   });
+}
 
-  // Spawn point markers
-  SPAWN_POINTS_CLIENT.forEach(sp => {
-    const marker = new THREE.Mesh(
-      new THREE.CylinderGeometry(1.2, 1.2, 0.04, 16),
-      new THREE.MeshBasicMaterial({ color: 0x00ff88, transparent:true, opacity: 0.25 })
-    );
-    marker.position.set(sp.x, 0.02, sp.z);
-    scene.add(marker);
+function refreshBuyMenu() {
+  document.getElementById('buy-money').textContent = `$${local.money}`;
+  document.querySelectorAll('.buy-item').forEach(row => {
+    const item = shopItems[row.dataset.item];
+    row.disabled = item.price > local.money ||
+      (item.weapon && item.weapon === local.weapon) ||
+      (item.armor && local.armor >= item.armor);
   });
 }
 
-const SPAWN_POINTS_CLIENT = [
-  {x:-60,z:-60},{x:60,z:-60},{x:-60,z:60},{x:60,z:60},
-  {x:0,z:-65},{x:0,z:65},{x:-65,z:0},{x:65,z:0}
-];
+function buyMenuOpen() {
+  return document.getElementById('buy-menu').classList.contains('vis');
+}
+
+function openBuyMenu() {
+  if (!shopItems || roundCache?.phase === 'live') return;
+  refreshBuyMenu();
+  document.getElementById('buy-menu').classList.add('vis');
+}
+
+function closeBuyMenu() {
+  document.getElementById('buy-menu').classList.remove('vis');
+}
+
+// ═══════════════════════════════════════════════
+// SNAPSHOT INTERPOLATION
+// Every 'gs' is kept in a short buffer keyed by server time. Each frame
+// remote players and bullets are drawn at (server now − INTERP_DELAY_MS),
+// blended between the two snapshots around that moment, so uneven packet
+// arrival doesn't show. If the buffer runs dry they keep their last
+// velocity for up to MAX_EXTRAPOLATE_MS, then hold still.
+// ═══════════════════════════════════════════════
+let snapshots = [];
+let serverClockOffset = null;   // estimated server time − Date.now()
+
+function pushSnapshot(state) {
+  const sample = state.t - Date.now();
+  serverClockOffset = serverClockOffset === null
+    ? sample
+    : serverClockOffset + (sample - serverClockOffset) * 0.05;
+
+  const byId = list => new Map(list.map(e => [e.id, e]));
+  snapshots.push({ t: state.t, tick: state.tick, players: byId(state.players), bullets: byId(state.bullets) });
+  if (snapshots.length > 30) snapshots.shift();
+}
+
+function clearSnapshots() {
+  snapshots = [];
+  serverClockOffset = null;
+}
+
+function lerpAngle(a, b, k) {
+  let d = (b - a) % (Math.PI * 2);
+  if (d > Math.PI) d -= Math.PI * 2;
+  if (d < -Math.PI) d += Math.PI * 2;
+  return a + d * k;
+}
+
+/** The two snapshots to blend for `renderTime` and the blend factor (k > 1 extrapolates) */
+function snapshotPair(renderTime) {
+  for (let i = snapshots.length - 1; i > 0; i--) {
+    const a = snapshots[i - 1], b = snapshots[i];
+    if (a.t <= renderTime) {
+      const span = b.t - a.t || 1;
+      const ahead = Math.min(renderTime - a.t, span + MAX_EXTRAPOLATE_MS);
+      return { a, b, k: ahead / span };
+    }
+  }
+  const first = snapshots[0];
+  return { a: first, b: first, k: 0 };
+}
+
+/** Server time of what remote players are drawn at right now */
+function renderServerTime() {
+  return Date.now() + (serverClockOffset || 0) - INTERP_DELAY_MS;
+}
+
+/** Runs every frame from animate() */
+function updateInterpolation() {
+  if (!snapshots.length) return;
+  const renderTime = renderServerTime();
+  const { a, b, k } = snapshotPair(renderTime);
+  const mix = (from, to, key) => from[key] + (to[key] - from[key]) * k;
+
+  for (const id in remoteMeshes) {
+    const mesh = remoteMeshes[id];
+    const to   = b.players.get(id);
+    let from   = a.players.get(id) || to;
+    if (!to) continue;
+    mesh.visible = to.alive && from.alive && !to.hidden;
+    if (to.hidden) continue;
+    if (from.hidden) from = to;   // just came into view — no blending from the blank position
+    mesh.position.set(mix(from, to, 'x'), mix(from, to, 'y'), mix(from, to, 'z'));
+    mesh.rotation.y = lerpAngle(from.yaw, to.yaw, Math.min(k, 1));
+    if (mesh.userData.nameTagGroup) mesh.userData.nameTagGroup.lookAt(camera.position);
+  }
+
+  // Bullets alive in the older snapshot are drawn; ones that vanished
+  // by the newer one stay where they were last seen
+  for (const id in bulletMeshes) {
+    if (!a.bullets.has(+id)) removeBulletMesh(id);
+  }
+  a.bullets.forEach((from, id) => {
+    const to   = b.bullets.get(id) || from;
+    const mesh = getOrCreateBulletMesh(id, from.color);
+    mesh.position.set(mix(from, to, 'x'), mix(from, to, 'y'), mix(from, to, 'z'));
+  });
+}
 
 // ═══════════════════════════════════════════════
 // BULLET VISUALS
@@ -607,6 +760,25 @@ function spawnMuzzleFlash(x, y, z, color) {
   requestAnimationFrame(tick);
 }
 
+// Hitscan tracer: a bright line from muzzle to impact that fades out
+function spawnTracer(from, to, color) {
+  const geo = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(from.x, from.y, from.z),
+    new THREE.Vector3(to.x, to.y, to.z)
+  ]);
+  const mat  = new THREE.LineBasicMaterial({ color, transparent:true, opacity:0.9 });
+  const line = new THREE.Line(geo, mat);
+  scene.add(line);
+  let life = 8;
+  const tick = () => {
+    life--;
+    mat.opacity = life / 8 * 0.9;
+    if (life <= 0) { scene.remove(line); geo.dispose(); mat.dispose(); }
+    else requestAnimationFrame(tick);
+  };
+  requestAnimationFrame(tick);
+}
+
 // Bullet impact sparks
 function spawnImpact(x, y, z, color) {
   for (let i = 0; i < 8; i++) {
@@ -697,6 +869,13 @@ const socket = io({ transports: ['websocket', 'polling'] });
 let myId      = null;
 let myChar    = null;
 let myName    = 'Soldier';
+let myRoom    = null;
+let killGoal  = WINS_REQ;
+let myTeam    = null;
+let roomMode  = 'ffa';
+let shopItems = null;   // Elimination shop from 'joined' (null in other modes)
+let roundCache = null;  // latest 'round' object from 'gs' (null outside Elimination)
+let matchCache = null;  // latest 'match' object from 'gs' (phase + timeLeft)
 let gameStarted = false;
 
 // Remote player meshes
@@ -711,42 +890,219 @@ const local = {
   alive: true, kills: 0,
   ammo: 12, maxAmmo: 12,
   reloading: false, speed: 7,
-  onGround: true
+  onGround: true,
+  weapon: null, armor: 0, money: 0,
+  ready: false
 };
 
 // FPS camera yaw/pitch (separate from local so we can apply mouse immediately)
 let camYaw   = 0;
 let camPitch = 0;
 
-// Ping tracking
-let lastPingSent = 0;
-let currentPing  = 0;
-
 // ── Socket events ──
+// Sent on join and whenever the room moves to another map
 socket.on('map_data', data => {
+  if (data.id === mapId && data.version === mapVersion) return;   // reconnecting, or the same map again: already built
   mapW = data.mapW; mapD = data.mapD;
-  buildMap(data.boxes);
+  buildMap(data);
 });
 
 socket.on('joined', data => {
-  myId = data.id;
+  clearSnapshots();
+  baselines = new Map(); lastSnapshotTick = 0;
+  roster = new Map(); stateMeta = null;
+  myId     = data.id;
+  myRoom   = data.roomId;
+  myName   = data.name;   // the server may have cleaned it up or made it unique
+  sessionToken = data.session;
+  pendingInputs.length = 0;
+  inputSeq = 0;
+  applyRoomSettings(data);   // the map or mode may have changed while we were away
+  if (data.resumed) {
+    document.getElementById('reconnecting').classList.remove('vis');
+    return;
+  }
+  document.getElementById('room-val').textContent = data.isPrivate
+    ? `CODE: ${myRoom.toUpperCase()} (PRIVATE)`
+    : `ROOM: ${myRoom}`;
   startGame();
 });
 
+// The room moved on to another map / mode (see 'map_vote')
+socket.on('room_settings', applyRoomSettings);
+
+/** Mode, goal and shop from a room's settings */
+function applyRoomSettings({ settings, shop }) {
+  const goals = { ffa: 'killGoal', tdm: 'teamGoal', ctf: 'captureGoal', koth: 'hillGoal', tkoth: 'hillGoal', elim: 'roundsToWin' };
+  roomMode = settings?.mode || 'ffa';
+  shopItems = shop || null;
+  buildBuyMenu();
+  killGoal = (settings && settings[goals[roomMode]]) || WINS_REQ;
+  document.getElementById('kills-goal').textContent = `GOAL: ${killGoal}`;
+}
+
+socket.on('join_error', ({ message }) => {
+  document.getElementById('lobby-error').textContent = message;
+});
+
+// ── Reconnecting ──
+// A dropped connection keeps our player on the server for a while;
+// socket.io retries on its own and 'resume' takes the player back.
+let sessionToken = null;
+
+socket.on('disconnect', reason => {
+  if (!gameStarted || reason === 'io server disconnect' || reason === 'io client disconnect') return;
+  document.exitPointerLock();
+  document.getElementById('reconnect-lbl').textContent = 'RECONNECTING…';
+  document.getElementById('reconnecting').classList.add('vis');
+});
+
+socket.io.on('reconnect_attempt', attempt => {
+  document.getElementById('reconnect-lbl').textContent = `RECONNECTING… (ATTEMPT ${attempt})`;
+});
+
+socket.on('connect', () => {
+  if (sessionToken && gameStarted) socket.emit('resume', { token: sessionToken });
+});
+
+// Held slot expired (or the server restarted): back to the lobby
+socket.on('resume_failed', () => location.reload());
+
+// Anti-cheat kick — the server closes the connection right after this
+socket.on('kicked', ({ reason }) => {
+  document.exitPointerLock();
+  document.getElementById('go-title').textContent = 'KICKED';
+  document.getElementById('go-title').style.color = '#ff5252';
+  document.getElementById('go-sub').textContent = reason.toUpperCase();
+  document.getElementById('btn-new').style.display = 'none';
+  document.getElementById('game-over').classList.add('vis');
+});
+
+// Chat and join/leave notices share the chat log
+socket.on('chat', ({ name, character, team, channel, text }) => {
+  addChatLine(text, { name, channel, color: playerColor({ character, team }) });
+});
+socket.on('player_joined', ({ name }) => addChatLine(`${name} joined`));
+socket.on('player_left',   ({ name }) => addChatLine(`${name} left`));
+
+// Open rooms — pushed by the server while we're in the lobby
+socket.on('room_list', renderRoomList);
+
 // Compact game state broadcast (20Hz from server)
-socket.on('gs', state => {
+// ── Binary state decoding ──
+// 'gs' is a binary delta snapshot (layout documented in server.js), 'roster'
+// carries the static per-player fields and 'gs_meta' the mode state. They
+// are merged back into the plain state object applyState() expects.
+// [name, bytes, signed, scale] — must match STATE_FIELDS in server.js
+const STATE_FIELDS = [
+  ['x', 2, true, 100], ['y', 2, true, 100], ['z', 2, true, 100],
+  ['yaw', 2, true, 10000], ['pitch', 2, true, 10000], ['vy', 2, true, 100],
+  ['hp', 1], ['flags', 1], ['kills', 2], ['score', 2], ['money', 2], ['armor', 1], ['ammo', 1]
+];
+const STATE_FLAGS = { alive: 1, reloading: 2, onGround: 4, ready: 8, hidden: 16 };   // hidden: out of sight, no position
+
+let roster     = new Map();   // player index → static fields
+let stateMeta  = null;        // latest 'gs_meta'
+let baselines  = new Map();   // tick → Map(index → quantized fields), for deltas
+let lastSnapshotTick = 0;     // acked back to the server on every 'mv'
+
+socket.on('roster', ({ players }) => {
+  roster = new Map(players.map(p => [p.idx, p]));
+});
+
+socket.on('gs_meta', meta => { stateMeta = meta; });
+
+function decodeState(buf) {
+  const view = ArrayBuffer.isView(buf)
+    ? new DataView(buf.buffer, buf.byteOffset, buf.byteLength)
+    : new DataView(buf);
+  let o = 0;
+  if (view.getUint8(o) !== 1) return null; o += 1;
+  const tick     = view.getUint32(o, true); o += 4;
+  const t        = view.getFloat64(o, true); o += 8;
+  const baseTick = view.getUint32(o, true); o += 4;
+  const ack      = view.getUint32(o, true); o += 4;
+  const count    = view.getUint8(o); o += 1;
+
+  const base = baseTick ? baselines.get(baseTick) : null;
+  if (baseTick && !base) return null;   // baseline gone — wait for the next snapshot
+
+  const fields = new Map();
+  for (let n = 0; n < count; n++) {
+    const idx  = view.getUint8(o); o += 1;
+    const mask = view.getUint16(o, true); o += 2;
+    const prev = base && base.get(idx);
+    const values = STATE_FIELDS.map(([, bytes, signed], i) => {
+      if (!(mask & (1 << i))) return prev ? prev[i] : 0;
+      const v = bytes === 2
+        ? (signed ? view.getInt16(o, true) : view.getUint16(o, true))
+        : (signed ? view.getInt8(o) : view.getUint8(o));
+      o += bytes;
+      return v;
+    });
+    fields.set(idx, values);
+  }
+
+  const bullets = [];
+  const bulletCount = view.getUint16(o, true); o += 2;
+  for (let n = 0; n < bulletCount; n++) {
+    const owner = roster.get(view.getUint8(o + 8));
+    bullets.push({
+      id: view.getUint16(o, true),
+      x: view.getInt16(o + 2, true) / 100,
+      y: view.getInt16(o + 4, true) / 100,
+      z: view.getInt16(o + 6, true) / 100,
+      color: owner ? owner.color : 0xffffff
+    });
+    o += 9;
+  }
+
+  baselines.set(tick, fields);
+  if (baselines.size > 32) baselines.delete(baselines.keys().next().value);
+  lastSnapshotTick = tick;
+
+  // Quantized fields + roster → the full player objects the UI uses
+  const players = [];
+  fields.forEach((values, idx) => {
+    const info = roster.get(idx);
+    if (!info) return;   // roster not here yet
+    const p = { ...info };
+    STATE_FIELDS.forEach(([name, , , scale = 1], i) => { p[name] = values[i] / scale; });
+    for (const key in STATE_FLAGS) p[key] = !!(p.flags & STATE_FLAGS[key]);
+    if (info.id === myId) p.ack = ack;
+    players.push(p);
+  });
+
+  const meta = stateMeta || {};
+  const timeLeft = endsAt => endsAt ? Math.max(0, endsAt - t) : null;
+  const flags = meta.flags && meta.flags.map(f => {
+    const carrier = f.carrierId && players.find(p => p.id === f.carrierId);
+    return carrier ? { ...f, x: carrier.x, y: carrier.y, z: carrier.z } : f;
+  });
+  return {
+    tick, t, players, bullets,
+    teamScores: meta.teamScores || null,
+    flags: flags || null,
+    hill: meta.hill || null,
+    round: meta.round ? { ...meta.round, timeLeft: timeLeft(meta.round.endsAt) } : null,
+    match: meta.match ? { phase: meta.match.phase, timeLeft: timeLeft(meta.match.endsAt) } : { phase: 'live', timeLeft: null }
+  };
+}
+
+socket.on('gs', buf => {
+  net.snapCount++;
+  net.byteCount += buf.byteLength;
+  const state = decodeState(buf);
+  if (state) applyState(state);
+});
+
+function applyState(state) {
+  pushSnapshot(state);
   const srvMe = state.players.find(p => p.id === myId);
 
   // ── Reconcile local player ──
   if (srvMe) {
-    // Hard snap if large discrepancy (hit wall / lag spike)
-    const dx = srvMe.x - local.x, dz = srvMe.z - local.z;
-    if (dx*dx + dz*dz > 50) {
-      local.x = srvMe.x; local.z = srvMe.z;
-    } else {
-      // Gentle lerp for small corrections
-      local.x += dx * 0.08; local.z += dz * 0.08;
-    }
+    reconcileLocalPlayer(srvMe);
 
     const wasAlive = local.alive;
     local.health   = srvMe.hp;
@@ -756,6 +1112,16 @@ socket.on('gs', state => {
     local.ammo     = srvMe.ammo;
     local.maxAmmo  = srvMe.maxAmmo;
     local.reloading= srvMe.reloading;
+    local.armor    = srvMe.armor;
+    local.money    = srvMe.money;
+    if (srvMe.weapon && srvMe.weapon !== local.weapon) equipLocalWeapon(srvMe.weapon);
+
+    if (srvMe.team !== myTeam) {
+      myTeam = srvMe.team;
+      const teamEl = document.getElementById('team-val');
+      teamEl.textContent = myTeam ? `${myTeam.toUpperCase()} TEAM` : '';
+      teamEl.style.color = myTeam ? '#' + TEAM_COLORS[myTeam].toString(16).padStart(6,'0') : '';
+    }
 
     if (!local.alive && wasAlive) {
       // Just died
@@ -788,50 +1154,34 @@ socket.on('gs', state => {
       remoteMeshes[p.id] = mesh;
     }
 
+    // Position, yaw and visibility come from the snapshot buffer (animate)
     const mesh = remoteMeshes[p.id];
-    mesh.visible = p.alive;
-
-    // Smooth interpolation for remote players
-    mesh.position.x = THREE.MathUtils.lerp(mesh.position.x, p.x, 0.25);
-    mesh.position.y = THREE.MathUtils.lerp(mesh.position.y, p.y, 0.25);
-    mesh.position.z = THREE.MathUtils.lerp(mesh.position.z, p.z, 0.25);
-    mesh.rotation.y = p.yaw;
-
-    // Update name tag
     if (mesh.userData.nameTagGroup) {
-      const ch = CHARS[p.character];
-      updateNameTag(mesh.userData.nameTagGroup, p.name, ch ? ch.color : 0xffffff);
-      // Face camera
-      mesh.userData.nameTagGroup.lookAt(camera.position);
+      updateNameTag(mesh.userData.nameTagGroup, p.name, playerColor(p));
     }
   });
 
-  // ── Update bullets ──
-  const activeBulletIds = new Set(state.bullets.map(b => b.id));
-  for (const id in bulletMeshes) {
-    if (!activeBulletIds.has(+id)) removeBulletMesh(id);
-  }
-  state.bullets.forEach(b => {
-    const mesh = getOrCreateBulletMesh(b.id, b.color);
-    mesh.position.set(b.x, b.y, b.z);
-  });
+  updateFlags(state.flags);
 
   // Scoreboard + minimap cache
   serverPlayerCache = state.players;
-  updateScoreboard(state.players);
-});
+  updateHill(state.hill);
+  updateRound(state.round);
+  updateMatch(state.match, state.players);
+  updateScoreboard(state.players, state.teamScores);
+}
 
-socket.on('hit', ({ health }) => {
+socket.on('hit', ({ health, zone }) => {
   local.health = health;
   flashDamage(1 - health / local.maxHealth);
-  playSound('hit');
+  playSound(zone === 'head' ? 'headshot' : 'hit');
   updateHUD();
   screenShakeAmount = 0.06;
 });
 
-socket.on('kill_feed', ({ killer, victim, killerChar }) => {
-  addKillFeed(killer, victim, killerChar);
-  if (killer === myName) playSound('kill');
+socket.on('kill_feed', ({ killer, victim, killerChar, killerTeam, teamKill, zone }) => {
+  addKillFeed(killer, victim, killerChar, killerTeam, teamKill, zone);
+  if (killer === myName) playSound(zone === 'head' ? 'headshot' : 'kill');
 });
 
 socket.on('respawn', ({ id }) => {
@@ -844,31 +1194,157 @@ socket.on('respawn', ({ id }) => {
   if (remoteMeshes[id]) remoteMeshes[id].visible = true;
 });
 
+// Hitscan shots arrive as tracers instead of bullets in 'gs'
+socket.on('tracer', ({ shooterId, from, to, color, hit, zone, impact }) => {
+  spawnTracer(from, to, color);
+  if (impact) spawnImpact(to.x, to.y, to.z, hit ? 0xff1744 : color);
+  if (shooterId !== myId) return;
+  if (hit) playSound(zone === 'head' ? 'headshot' : 'hitmarker');
+});
+
 socket.on('reload_done', () => {
   local.reloading = false; local.ammo = local.maxAmmo;
   updateHUD(); updateReloadBar();
 });
 
-socket.on('game_over', ({ winner, character }) => {
+socket.on('game_over', ({ winner, character, team, mode, killGoal: goal, reason }) => {
   const ch = CHARS[character];
-  const color = ch ? '#' + ch.color.toString(16).padStart(6,'0') : '#ffeb3b';
-  document.getElementById('go-title').textContent = `${winner} WINS`;
-  document.getElementById('go-title').style.color = color;
-  document.getElementById('go-sub').textContent   = `REACHED ${WINS_REQ} KILLS`;
+  const c  = team ? TEAM_COLORS[team] : ch ? ch.color : null;
+  const color = c !== null ? '#' + c.toString(16).padStart(6,'0') : '#ffeb3b';
+  document.getElementById('go-title').textContent = reason === 'draw' ? 'DRAW' : `${winner} WINS`;
+  document.getElementById('go-title').style.color = reason === 'draw' ? '#ffffff' : color;
+  const what = mode === 'ctf' ? 'CAPTURES'
+    : mode === 'elim' ? 'ROUND WINS'
+    : mode === 'koth' || mode === 'tkoth' ? 'HILL POINTS'
+    : team ? 'TEAM KILLS' : 'KILLS';
+  document.getElementById('go-sub').textContent =
+    reason === 'draw' ? 'STILL TIED AFTER OVERTIME'
+    : reason === 'time' ? `TIME UP · LED WITH ${goal} ${what}`
+    : `REACHED ${goal || killGoal} ${what}`;
   document.getElementById('game-over').classList.add('vis');
+  document.getElementById('match-prompt').style.display = 'none';
 });
 
-socket.on('game_reset', () => {
-  document.getElementById('game-over').classList.remove('vis');
+socket.on('match_phase', ({ phase, timeLeft }) => {
+  if (phase === 'countdown') {
+    document.getElementById('death-screen').classList.remove('vis');
+    local.alive = true; local.health = local.maxHealth; local.kills = 0;
+    playSound('reload');
+  } else if (phase === 'live') {
+    showRoundBanner('MATCH LIVE', timeLeft ? `${formatClock(timeLeft)} ON THE CLOCK` : 'NO TIME LIMIT');
+    playSound('respawn');
+  } else if (phase === 'overtime') {
+    showRoundBanner('OVERTIME', 'NEXT SCORE WINS', 0xff6b35);
+    playSound('respawn');
+  }
+  updateHUD();
+});
+
+socket.on('flag_event', ({ type, team, player, playerTeam }) => {
+  const flagName = `${team.toUpperCase()} FLAG`;
+  const text = {
+    pickup:  `${player} TOOK THE ${flagName}`,
+    drop:    `${player} DROPPED THE ${flagName}`,
+    return:  player ? `${player} RETURNED THE ${flagName}` : `${flagName} RETURNED`,
+    capture: `${player} CAPTURED THE ${flagName}`
+  }[type];
+  if (text) addFeedMessage(text, TEAM_COLORS[playerTeam || team]);
+  if (type === 'capture') playSound(playerTeam === myTeam ? 'kill' : 'death');
+});
+
+socket.on('hill_captured', ({ team, player }) => {
+  addFeedMessage(`${team ? team.toUpperCase() + ' TEAM' : player} TOOK THE HILL`,
+    team ? TEAM_COLORS[team] : 0xffffff);
+  if (team ? team === myTeam : player === myName) playSound('respawn');
+});
+
+socket.on('round_start', ({ number }) => {
   document.getElementById('death-screen').classList.remove('vis');
-  local.kills = 0; updateHUD();
+  local.alive = true; local.health = local.maxHealth;
+  showRoundBanner(`ROUND ${number}`, 'BUY PHASE');
+  openBuyMenu();
+  playSound('respawn');
+  updateHUD();
+});
+
+socket.on('round_end', ({ winner, reason, teamScores }) => {
+  const sub = reason === 'players_left' ? 'WAITING FOR PLAYERS'
+    : `RED ${teamScores.red} — ${teamScores.blue} BLUE`;
+  if (winner) {
+    showRoundBanner(`${winner.toUpperCase()} WINS THE ROUND`, sub, TEAM_COLORS[winner]);
+    playSound(winner === myTeam ? 'kill' : 'death');
+  } else {
+    showRoundBanner(reason === 'players_left' ? 'ROUND CANCELLED' : 'ROUND DRAW', sub);
+  }
+  closeBuyMenu();
+});
+
+socket.on('buy_result', ({ ok, item, money, message }) => {
+  local.money = money;
+  if (ok) {
+    playSound('reload');
+    if (shopItems[item].armor) local.armor = shopItems[item].armor;
+  } else {
+    addFeedMessage(message.toUpperCase(), 0xff1744);
+    playSound('empty_click');
+  }
+  updateHUD();
+  refreshBuyMenu();
 });
 
-socket.on('pong_custom', () => {
-  currentPing = Date.now() - lastPingSent;
+// ── Map vote ──
+// Shown on the game over screen; the server picks the winner and sends
+// the new map ('map_data' + 'room_settings') before 'game_reset'.
+const MODE_NAMES = { ffa: 'FREE-FOR-ALL', tdm: 'TEAM DEATHMATCH', ctf: 'CAPTURE THE FLAG',
+                     koth: 'KING OF THE HILL', tkoth: 'TEAM KING OF THE HILL', elim: 'ELIMINATION' };
+let voteTimer = null;
+
+socket.on('map_vote', ({ options, timeLeft }) => {
+  const list = document.getElementById('go-vote-list');
+  list.textContent = '';
+  options.forEach((o, i) => {
+    const btn = textEl('button', '', 'vote-opt');
+    btn.append(textEl('span', o.name.toUpperCase()), textEl('span', MODE_NAMES[o.mode] || o.mode.toUpperCase(), 'vo-mode'),
+               textEl('span', '0 VOTES', 'vo-count'));
+    btn.addEventListener('click', () => {
+      socket.emit('map_vote', { choice: i });
+      list.querySelectorAll('.vote-opt').forEach(b => b.classList.toggle('picked', b === btn));
+    });
+    list.appendChild(btn);
+  });
+
+  const endsAt = performance.now() + timeLeft;
+  const tick = () => {
+    document.getElementById('go-vote-time').textContent = Math.max(0, Math.ceil((endsAt - performance.now()) / 1000));
+  };
+  tick();
+  clearInterval(voteTimer);
+  voteTimer = setInterval(tick, 250);
+  document.getElementById('go-vote').classList.add('vis');
+  document.getElementById('btn-new').style.display = 'none';
+});
+
+socket.on('map_vote_tally', ({ counts }) => {
+  document.querySelectorAll('#go-vote-list .vo-count').forEach((el, i) => {
+    el.textContent = `${counts[i]} VOTE${counts[i] === 1 ? '' : 'S'}`;
+  });
+});
+
+function closeMapVote() {
+  clearInterval(voteTimer);
+  document.getElementById('go-vote').classList.remove('vis');
+  document.getElementById('btn-new').style.display = '';
+}
+
+socket.on('game_reset', () => {
+  closeMapVote();
+  document.getElementById('game-over').classList.remove('vis');
+  document.getElementById('death-screen').classList.remove('vis');
+  local.kills = 0; local.ready = false; updateHUD();
 });
 
 document.getElementById('btn-new').addEventListener('click', () => socket.emit('new_game'));
+document.getElementById('match-prompt').addEventListener('click', toggleReady);
 
 // ═══════════════════════════════════════════════
 // LOBBY BUILD
@@ -906,17 +1382,107 @@ Object.entries(CHARS).forEach(([key, ch]) => {
 
 document.getElementById('name-input').addEventListener('input', checkReady);
 function checkReady() {
-  document.getElementById('btn-play').disabled = !(
-    document.getElementById('name-input').value.trim() && selChar
-  );
+  const ready = !!(document.getElementById('name-input').value.trim() && selChar);
+  document.getElementById('btn-play').disabled   = !ready;
+  document.getElementById('btn-create').disabled = !ready;
 }
 
 document.getElementById('btn-play').addEventListener('click', () => {
   myName = document.getElementById('name-input').value.trim() || 'Soldier';
   myChar  = selChar;
-  socket.emit('join', { name: myName, character: myChar });
+  document.getElementById('lobby-error').textContent = '';
+  socket.emit('join', {
+    name: myName, character: myChar,
+    roomId:   document.getElementById('room-input').value.trim(),
+    password: document.getElementById('room-pass').value,
+    settings: lobbyRoomSettings()   // only used if this creates a new room
+  });
 });
 
+/** Settings picked in the lobby, applied to any room we create */
+function lobbyRoomSettings() {
+  return {
+    map:          document.getElementById('opt-map').value,
+    mode:         document.getElementById('opt-mode').value,
+    friendlyFire: document.getElementById('opt-ff').value,
+    killGoal:     +document.getElementById('opt-kill-goal').value,
+    teamGoal:     +document.getElementById('opt-team-goal').value,
+    captureGoal:  +document.getElementById('opt-capture-goal').value,
+    hillGoal:     +document.getElementById('opt-hill-goal').value,
+    roundsToWin:  +document.getElementById('opt-rounds').value,
+    timeLimit:    +document.getElementById('opt-time').value,
+    maxPlayers:   +document.getElementById('opt-max-players').value
+  };
+}
+
+// Private match — server replies with 'joined' carrying the new room code
+document.getElementById('btn-create').addEventListener('click', () => {
+  myName = document.getElementById('name-input').value.trim() || 'Soldier';
+  myChar  = selChar;
+  document.getElementById('lobby-error').textContent = '';
+  socket.emit('create_room', {
+    name: myName, character: myChar,
+    password: document.getElementById('room-pass').value,
+    settings: lobbyRoomSettings()
+  });
+});
+
+// Map picker: lists the server's maps and only offers the modes the
+// chosen map has objects for (no flags = no CTF, no hill = no KOTH)
+let lobbyMaps = [];
+
+// The editor's TEST THIS MAP opens /?room=<test room code>&map=<id> — prefill both
+const lobbyParams = new URLSearchParams(location.search);
+if (lobbyParams.get('room')) document.getElementById('room-input').value = lobbyParams.get('room');
+
+socket.on('map_list', list => {
+  lobbyMaps = list;
+  const select = document.getElementById('opt-map');
+  const prev   = select.value;
+  select.textContent = '';
+  list.forEach(m => {
+    const opt = textEl('option', m.name.toUpperCase());
+    opt.value = m.id;
+    select.appendChild(opt);
+  });
+  const wanted = prev || lobbyParams.get('map');
+  if (list.some(m => m.id === wanted)) select.value = wanted;
+  syncLobbyModes();
+});
+
+function syncLobbyModes() {
+  const map  = lobbyMaps.find(m => m.id === document.getElementById('opt-map').value);
+  const mode = document.getElementById('opt-mode');
+  if (!map) return;
+  for (const opt of mode.options) opt.disabled = !map.modes.includes(opt.value);
+  if (mode.selectedOptions[0].disabled) mode.value = 'ffa';
+}
+
+document.getElementById('opt-map').addEventListener('change', syncLobbyModes);
+
+/** Clickable chips for each open room; clicking one fills the room input */
+function renderRoomList(rooms) {
+  const list  = document.getElementById('room-list');
+  const input = document.getElementById('room-input');
+  list.textContent = '';
+  rooms.forEach(r => {
+    const chip = document.createElement('div');
+    const full = r.players >= r.maxPlayers;
+    chip.className = 'room-chip' + (full ? ' full' : '') +
+      (input.value.trim().toLowerCase() === r.id ? ' selected' : '');
+    const status = r.gameOver ? ' · ENDED' : r.phase === 'warmup' ? ' · WARMUP' : '';
+    chip.textContent = `${r.id.toUpperCase()} · ${r.map.toUpperCase()} · ${r.mode.toUpperCase()} · ${r.players}/${r.maxPlayers}${status}`;
+    if (!full) {
+      chip.addEventListener('click', () => {
+        input.value = r.id;
+        list.querySelectorAll('.room-chip').forEach(c => c.classList.remove('selected'));
+        chip.classList.add('selected');
+      });
+    }
+    list.appendChild(chip);
+  });
+}
+
 // ═══════════════════════════════════════════════
 // START GAME
 // ═══════════════════════════════════════════════
@@ -937,8 +1503,7 @@ function startGame() {
     document.getElementById('char-name').textContent = myChar.toUpperCase();
     document.getElementById('char-name').style.color = hexColor;
     document.getElementById('char-role').textContent = ch.role;
-    document.getElementById('weapon-name').textContent = ch.weapon;
-    buildViewModel(ch.weapon, ch.color);
+    equipLocalWeapon(ch.weapon);
   }
 
   updateHUD();
@@ -956,11 +1521,105 @@ function startGame() {
   // Initialise mobile touch controls (no-op on desktop — IS_MOBILE guards everything)
   initMobile();
 
-  // Start ping loop
-  setInterval(() => {
-    lastPingSent = Date.now();
-    socket.emit('ping_custom');
-  }, 2000);
+  // Start ping loop (NET GRAPH)
+  setInterval(sendPing, PING_INTERVAL_MS);
+}
+
+// ═══════════════════════════════════════════════
+// NET GRAPH
+// 'ping_custom' goes out every PING_INTERVAL_MS. The server answers with
+// its clock and the latency it measured for us (NETWORK STATS in
+// server.js); the next ping echoes that clock back so it can keep
+// measuring. N toggles the overlay: round trip, jitter, loss, clock
+// offset, snapshot rate, interpolation buffer and incoming state bytes.
+// ═══════════════════════════════════════════════
+const PING_INTERVAL_MS = 1000;
+const PING_LOST_MS     = 5000;   // no pong after this long counts as lost
+const NET_HISTORY      = 60;     // round trips kept for the graph
+
+const net = {
+  seq: 0, sent: new Map(),          // ping seq → Date.now() when sent
+  lastPong: null, lastPongAt: 0,    // server time of the last pong, echoed in the next ping
+  rtt: 0, jitter: 0, offset: 0,     // measured here
+  outcomes: [],                     // recent pings: true = lost
+  server: null,                     // { rtt, jitter, loss } as the server measures us
+  history: [],
+  snapCount: 0, byteCount: 0, snapRate: 0, bytesPerSec: 0, windowAt: 0, drawnAt: 0
+};
+
+function sendPing() {
+  const now = Date.now();
+  for (const [seq, t] of net.sent) {
+    if (now - t > PING_LOST_MS) { net.sent.delete(seq); recordPingOutcome(true); }
+  }
+  net.sent.set(++net.seq, now);
+  const ping = { seq: net.seq, t: now };
+  if (net.lastPong !== null) { ping.echo = net.lastPong; ping.held = now - net.lastPongAt; }
+  socket.emit('ping_custom', ping);
+}
+
+function recordPingOutcome(lost) {
+  net.outcomes.push(lost);
+  if (net.outcomes.length > 20) net.outcomes.shift();
+}
+
+socket.on('pong_custom', ({ seq, t, serverTime, rtt, jitter, loss }) => {
+  const now = Date.now();
+  if (!net.sent.delete(seq)) return;   // already written off as lost
+  recordPingOutcome(false);
+
+  const sample = now - t;
+  if (!net.history.length) {
+    net.rtt = sample;
+  } else {
+    net.jitter += (Math.abs(sample - net.rtt) - net.jitter) * 0.2;
+    net.rtt    += (sample - net.rtt) * 0.2;
+  }
+  net.offset = serverTime + sample / 2 - now;
+  net.server = { rtt, jitter, loss };
+  net.lastPong = serverTime;
+  net.lastPongAt = now;
+  net.history.push(sample);
+  if (net.history.length > NET_HISTORY) net.history.shift();
+});
+
+/** Runs every frame from animate(); redraws the overlay a few times a second */
+function updateNetGraph() {
+  const now = Date.now();
+  if (now - net.windowAt >= 1000) {
+    const secs = (now - net.windowAt) / 1000;
+    net.snapRate    = net.windowAt ? net.snapCount / secs : 0;
+    net.bytesPerSec = net.windowAt ? net.byteCount / secs : 0;
+    net.snapCount = 0; net.byteCount = 0; net.windowAt = now;
+  }
+
+  const el = document.getElementById('net-graph');
+  if (!el.classList.contains('vis') || now - net.drawnAt < 250) return;
+  net.drawnAt = now;
+
+  // Interpolation buffer: how far the newest snapshot is ahead of what we draw
+  const newest = snapshots[snapshots.length - 1];
+  const buffer = newest ? Math.round(newest.t - renderServerTime()) : 0;
+  const lost   = net.outcomes.filter(Boolean).length;
+  const srv    = net.server;
+  document.getElementById('ng-text').textContent = [
+    `PING   ${Math.round(net.rtt)}ms  ±${Math.round(net.jitter)}`,
+    `SERVER ${srv ? `${srv.rtt}ms ±${srv.jitter}  LOSS ${Math.round(srv.loss * 100)}%` : '--'}`,
+    `LOSS   ${net.outcomes.length ? Math.round(lost / net.outcomes.length * 100) : 0}%   CLOCK ${Math.round(net.offset)}ms`,
+    `SNAPS  ${net.snapRate.toFixed(1)}/s  ${(net.bytesPerSec / 1024).toFixed(1)} KB/s`,
+    `BUFFER ${buffer}ms ${buffer < 0 ? '(EXTRAPOLATING)' : `/ ${INTERP_DELAY_MS}`}`
+  ].join('\n');
+
+  // Round-trip history, scaled to the worst sample shown
+  const cvs = document.getElementById('ng-canvas');
+  const g   = cvs.getContext('2d');
+  const max = Math.max(100, ...net.history);
+  g.clearRect(0, 0, cvs.width, cvs.height);
+  net.history.forEach((v, i) => {
+    const h = Math.max(1, v / max * cvs.height);
+    g.fillStyle = v > 150 ? '#ff1744' : v > 80 ? '#ffeb3b' : '#00e676';
+    g.fillRect(i * (cvs.width / NET_HISTORY), cvs.height - h, cvs.width / NET_HISTORY - 1, h);
+  });
 }
 
 // ═══════════════════════════════════════════════
@@ -976,7 +1635,7 @@ clickToPlay.addEventListener('click', () => {
 document.addEventListener('pointerlockchange', () => {
   if (document.pointerLockElement === document.body) {
     clickToPlay.classList.remove('vis');
-  } else {
+  } else if (!chatOpen()) {
     clickToPlay.classList.add('vis');
   }
 });
@@ -995,20 +1654,102 @@ document.addEventListener('mousemove', e => {
 // ═══════════════════════════════════════════════
 const keys = {};
 document.addEventListener('keydown', e => {
+  if (chatOpen()) return;   // typing: the chat input handles its own keys
+  if (gameStarted && !IS_MOBILE && (e.code === 'Enter' || e.code === 'KeyT')) {
+    e.preventDefault();     // don't type the T into the box
+    openChat(e.code === 'KeyT');
+    return;
+  }
   keys[e.code] = true;
   if (e.code === 'KeyR') {
     if (!local.reloading && local.ammo < local.maxAmmo) {
       socket.emit('reload');
       local.reloading = true;
       reloadStart = performance.now();
-      reloadDuration = CHARS[myChar]?.reloadMs || 1500;
+      reloadDuration = weaponReloadMs();
       playSound('reload');
     }
   }
   if (e.code === 'Escape') document.exitPointerLock();
+
+  if (e.code === 'KeyF') toggleReady();
+  if (e.code === 'KeyN') document.getElementById('net-graph').classList.toggle('vis');
+
+  // Buy menu (Elimination buy phase): B toggles, 1..N buys
+  if (e.code === 'KeyB' && shopItems) {
+    if (buyMenuOpen()) closeBuyMenu();
+    else if (roundCache?.phase === 'buy') openBuyMenu();
+  }
+  if (buyMenuOpen() && /^Digit[1-9]$/.test(e.code)) {
+    const id = Object.keys(shopItems)[+e.code.slice(5) - 1];
+    if (id) socket.emit('buy', { item: id });
+  }
 });
 document.addEventListener('keyup',  e => { keys[e.code] = false; });
 
+// ═══════════════════════════════════════════════
+// CHAT
+// Enter opens the chat box for everyone, T for your team (team modes);
+// Tab switches channel while typing. The box releases pointer lock and
+// takes it back on send. Lines fade out but stay readable while open.
+// ═══════════════════════════════════════════════
+const CHAT_MAX_LINES = 8;
+const chatBox   = document.getElementById('chat');
+const chatInput = document.getElementById('chat-input');
+let chatTeam = false;
+
+function chatOpen() {
+  return chatBox.classList.contains('open');
+}
+
+function setChatChannel(team) {
+  chatTeam = team && !!myTeam;
+  document.getElementById('chat-channel').textContent = chatTeam ? 'TEAM' : 'ALL';
+}
+
+function openChat(team) {
+  for (const k in keys) keys[k] = false;   // stop running while typing
+  setChatChannel(team);
+  chatBox.classList.add('open');
+  document.exitPointerLock();
+  chatInput.value = '';
+  chatInput.focus();
+}
+
+function closeChat(relock) {
+  chatBox.classList.remove('open');
+  chatInput.blur();
+  clickToPlay.classList.add('vis');   // hidden again once the lock is back
+  if (relock) document.body.requestPointerLock()?.catch?.(() => {});
+}
+
+chatInput.addEventListener('keydown', e => {
+  e.stopPropagation();   // keep game keys (and the Enter that closes) away from the document handler
+  if (e.code === 'Enter') {
+    const text = chatInput.value.trim();
+    if (text) socket.emit('chat', { text, team: chatTeam });
+    closeChat(true);
+  } else if (e.code === 'Escape') {
+    closeChat(false);
+  } else if (e.code === 'Tab') {
+    e.preventDefault();
+    setChatChannel(!chatTeam);
+  }
+});
+
+/** Append a line to the chat log; without a `name` it's a system notice */
+function addChatLine(text, { name, channel, color } = {}) {
+  const log  = document.getElementById('chat-log');
+  const line = textEl('div', '', name ? 'chat-line' : 'chat-line system');
+  if (name) {
+    if (channel === 'team') line.appendChild(textEl('span', '[TEAM] ', 'chat-ch'));
+    line.append(textEl('span', name, '', '#' + color.toString(16).padStart(6,'0')), ': ');
+  }
+  line.append(text);
+  log.appendChild(line);
+  while (log.children.length > CHAT_MAX_LINES) log.firstChild.remove();
+}
+
 // ═══════════════════════════════════════════════
 // SHOOTING
 // ═══════════════════════════════════════════════
@@ -1023,7 +1764,7 @@ document.addEventListener('mousedown', e => {
 document.addEventListener('mouseup', () => clearInterval(shootInterval));
 
 function doShoot() {
-  if (!local.alive || local.reloading) return;
+  if (!local.alive || local.reloading || isFrozenLocal()) return;
   if (local.ammo <= 0) { playSound('empty_click'); return; }
 
   const now = Date.now();
@@ -1037,7 +1778,8 @@ function doShoot() {
   const dir = new THREE.Vector3(0, 0, -1);
   dir.applyEuler(new THREE.Euler(camPitch, camYaw, 0, 'YXZ'));
 
-  socket.emit('shoot', { dx: dir.x, dy: dir.y, dz: dir.z });
+  // t: the server moment on screen right now, for lag compensation
+  socket.emit('shoot', { dx: dir.x, dy: dir.y, dz: dir.z, t: renderServerTime() });
   playShootSound();
 
   // Muzzle flash at gun position
@@ -1056,7 +1798,7 @@ function doShoot() {
     socket.emit('reload');
     local.reloading = true;
     reloadStart    = performance.now();
-    reloadDuration = ch?.reloadMs || 1500;
+    reloadDuration = weaponReloadMs();
   }
 }
 
@@ -1068,21 +1810,113 @@ let reloadDuration = 1500;
 let stepT       = 0;
 let wasOnGround = true;   // for land sound detection
 
-// Client-side wall collision (mirrors server MAP_BOXES)
+// Client-side wall collision (mirrors the server's map boxes)
 const clientBoxes = [];   // filled after map_data
 
 socket.on('map_data', data => {
+  clientBoxes.length = 0;
   data.boxes.forEach(b => clientBoxes.push(b));
 });
 
+// Cylinder vs box in the box's own axes (boxLocal / boxTop are in world.js)
 function clientBoxCollide(nx, ny, nz, box) {
-  if (ny + PLAYER_H < box.y - box.h || ny > box.y + box.h) return false;
-  const cx = Math.max(box.x - box.w, Math.min(nx, box.x + box.w));
-  const cz = Math.max(box.z - box.d, Math.min(nz, box.z + box.d));
-  const dx = nx - cx, dz = nz - cz;
+  const { lx, lz } = boxLocal(box, nx, nz);
+  if (ny + PLAYER_H < box.y - box.h || ny > boxTop(box, lz)) return false;
+  const cx = Math.max(-box.w, Math.min(lx, box.w));
+  const cz = Math.max(-box.d, Math.min(lz, box.d));
+  const dx = lx - cx, dz = lz - cz;
   return dx*dx + dz*dz < PLAYER_R * PLAYER_R;
 }
 
+// ── Client-side prediction ──
+// Input is sampled in fixed steps matching the server tick. Each step is
+// numbered, applied locally right away, sent as 'mv' and kept until the
+// server acknowledges it in 'gs'. On every 'gs' the local player is reset
+// to the authoritative state and the unacknowledged steps are replayed.
+const INPUT_DT = 1 / 60;   // must match PHYSICS_HZ on the server
+let inputSeq      = 0;
+let inputAccum    = 0;
+let pendingInputs = [];
+
+/** Server-side collision response, mirrored (resolvePlayerCollisions) */
+function resolveLocalCollisions(grounded) {
+  for (const box of clientBoxes) {
+    const { lx, lz } = boxLocal(box, local.x, local.z);
+    const top  = boxTop(box, lz);
+    const ramp = box.shape === 'ramp';
+
+    // Walking down a ramp: stay on its surface
+    if (ramp && grounded && local.vy <= 0 && local.y > top && local.y - top <= STEP_HEIGHT &&
+        Math.abs(lx) <= box.w && Math.abs(lz) <= box.d) {
+      local.y = top;
+      local.vy = 0; local.onGround = true;
+      continue;
+    }
+    if (!clientBoxCollide(local.x, local.y, local.z, box)) continue;
+
+    // Step up onto low boxes (or land on a box from above); ramps lift you up
+    if (top - local.y <= STEP_HEIGHT && (local.vy <= 0 || ramp)) {
+      local.y = top;
+      if (local.vy <= 0) { local.vy = 0; local.onGround = true; }
+      continue;
+    }
+
+    // Push out horizontally, along the box's nearest side
+    const overlapX = box.w + PLAYER_R - Math.abs(lx);
+    const overlapZ = box.d + PLAYER_R - Math.abs(lz);
+    const push = overlapX < overlapZ
+      ? boxWorldDir(box, overlapX * Math.sign(lx), 0)
+      : boxWorldDir(box, 0, overlapZ * Math.sign(lz));
+    local.x += push.x;
+    local.z += push.z;
+    const len = Math.hypot(push.x, push.z);
+    if (len > 0) {
+      const nx = push.x / len, nz = push.z / len, vn = local.vx * nx + local.vz * nz;
+      local.vx -= vn * nx;
+      local.vz -= vn * nz;
+    }
+  }
+}
+
+/** One input step — the same math as applyInput() + movePlayer() on the server */
+function stepLocalPlayer(cmd) {
+  const spd = local.speed || 7;
+  local.vx = cmd.vx * spd;
+  local.vz = cmd.vz * spd;
+  if (cmd.jump && local.onGround) {
+    local.vy = JUMP_V;
+    local.onGround = false;
+  }
+
+  local.x += local.vx * INPUT_DT;
+  local.z += local.vz * INPUT_DT;
+
+  // Gravity
+  local.vy += GRAVITY * INPUT_DT;
+  local.y  += local.vy * INPUT_DT;
+
+  // Ground
+  const grounded = local.onGround;
+  local.onGround = false;
+  if (local.y <= 0) { local.y = 0; local.vy = 0; local.onGround = true; }
+
+  // Map clamp
+  local.x = Math.max(-mapW + PLAYER_R, Math.min(mapW - PLAYER_R, local.x));
+  local.z = Math.max(-mapD + PLAYER_R, Math.min(mapD - PLAYER_R, local.z));
+
+  resolveLocalCollisions(grounded);
+}
+
+/** Snap to the server's state for us, then replay what it hasn't applied yet */
+function reconcileLocalPlayer(srvMe) {
+  if (!srvMe.alive) { pendingInputs = []; return; }   // the server drops queued input on death
+  pendingInputs = pendingInputs.filter(cmd => cmd.seq > srvMe.ack);
+  local.x = srvMe.x; local.y = srvMe.y; local.z = srvMe.z;
+  local.vy = srvMe.vy;
+  local.onGround = srvMe.onGround;
+  pendingInputs.forEach(stepLocalPlayer);
+}
+
 function updateMovement(dt) {
   if (!local.alive || !gameStarted) return;
 
@@ -1125,8 +1959,11 @@ function updateMovement(dt) {
   // Both paths produce the same mx/mz values so the physics below
   // works identically regardless of input device.
   let mx = 0, mz = 0;
+  const frozen = isFrozenLocal();
 
-  if (IS_MOBILE) {
+  if (frozen) {
+    // Stay at spawn — the server ignores movement too
+  } else if (IS_MOBILE) {
     // touchInput.moveX/Z are already normalized -1..+1 from the joystick
     mx = touchInput.moveX;
     mz = touchInput.moveZ;
@@ -1152,67 +1989,42 @@ function updateMovement(dt) {
   const normVx = len > 0 ? vx / len : 0;
   const normVz = len > 0 ? vz / len : 0;
 
-  const spd = local.speed || 7;
-  local.vx  = normVx * spd;
-  local.vz  = normVz * spd;
-
   // ── Jump ──
   // On desktop: Space key.  On mobile: touchInput.jump (set by jump button).
   // The flag is cleared after being consumed so it only triggers once per press.
-  const jumpRequested = IS_MOBILE
+  const jumpRequested = !frozen && (IS_MOBILE
     ? touchInput.jump
-    : (keys['Space'] || keys['KeySpace']);
-
-  if (jumpRequested && local.onGround) {
-    local.vy = JUMP_V;
-    local.onGround = false;
-    touchInput.jump = false;  // consume mobile flag (desktop keys are stateful anyway)
-  } else if (IS_MOBILE) {
-    touchInput.jump = false;  // always clear even if we couldn't jump
+    : (keys['Space'] || keys['KeySpace']));
+
+  if (IS_MOBILE) touchInput.jump = false;  // consume mobile flag (desktop keys are stateful anyway)
+
+  // ── Fixed input steps: predict locally, send, keep for replay ──
+  inputAccum = Math.min(inputAccum + dt, INPUT_DT * 6);
+  while (inputAccum >= INPUT_DT) {
+    inputAccum -= INPUT_DT;
+    const cmd = {
+      seq: ++inputSeq,
+      vx: normVx, vz: normVz,
+      yaw:   camYaw,
+      pitch: camPitch,
+      jump:  jumpRequested && local.onGround,
+      ack:   lastSnapshotTick
+    };
+    if (cmd.jump) playSound('jump');
+    stepLocalPlayer(cmd);
+    pendingInputs.push(cmd);
+    socket.emit('mv', cmd);
   }
 
-  // Gravity
-  local.vy += GRAVITY * dt;
-  local.y  += local.vy * dt;
-
-  // Ground
-  local.onGround = false;
-  if (local.y <= 0) { local.y = 0; local.vy = 0; local.onGround = true; }
-
-  // Move X
-  const nx = local.x + local.vx * dt;
-  let colX  = false;
-  for (const b of clientBoxes) { if (clientBoxCollide(nx, local.y, local.z, b)) { colX = true; break; } }
-  if (!colX) local.x = nx;
-
-  // Move Z
-  const nz = local.z + local.vz * dt;
-  let colZ  = false;
-  for (const b of clientBoxes) { if (clientBoxCollide(local.x, local.y, nz, b)) { colZ = true; break; } }
-  if (!colZ) local.z = nz;
-
-  // Map clamp
-  local.x = Math.max(-mapW + PLAYER_R, Math.min(mapW - PLAYER_R, local.x));
-  local.z = Math.max(-mapD + PLAYER_R, Math.min(mapD - PLAYER_R, local.z));
-
-  // ── Audio: footsteps, jump, land ──
+  // ── Audio: footsteps, land ──
   const moving = len > 0 && local.onGround;
   if (moving) {
     stepT -= dt;
     if (stepT <= 0) { playSound('footstep'); stepT = 0.38 / Math.max(0.5, local.speed / 7); }
   }
-  if (jumpRequested && local.onGround) playSound('jump');
   if (!wasOnGround && local.onGround)  playSound('land');
   wasOnGround = local.onGround;
 
-  // Send to server (20x/second is fine, rAF sends every frame but socket throttles)
-  socket.emit('mv', {
-    vx: normVx, vz: normVz,
-    yaw:   camYaw,
-    pitch: camPitch,
-    jump: jumpRequested && local.onGround
-  });
-
   // ── Update camera position ──
   const eyeY = local.y + PLAYER_H;
   if (CAMERA_MODE === 'first') {
@@ -1300,10 +2112,11 @@ function drawMinimap() {
   // ── Map walls as tiny rectangles ──
   ctx.fillStyle = 'rgba(0,229,255,0.12)';
   clientBoxes.forEach(b => {
-    const tl = worldToMM(b.x - b.w, b.z - b.d);
-    const tr = worldToMM(b.x + b.w, b.z - b.d);
-    const br = worldToMM(b.x + b.w, b.z + b.d);
-    const bl = worldToMM(b.x - b.w, b.z + b.d);
+    const corner = (sx, sz) => {
+      const o = boxWorldDir(b, sx * b.w, sz * b.d);
+      return worldToMM(b.x + o.x, b.z + o.z);
+    };
+    const tl = corner(-1, -1), tr = corner(1, -1), br = corner(1, 1), bl = corner(-1, 1);
     ctx.beginPath();
     ctx.moveTo(tl.x, tl.y); ctx.lineTo(tr.x, tr.y);
     ctx.lineTo(br.x, br.y); ctx.lineTo(bl.x, bl.y);
@@ -1312,9 +2125,8 @@ function drawMinimap() {
 
   // ── Remote players ──
   serverPlayerCache.forEach(p => {
-    if (p.id === myId || !p.alive) return;
-    const ch = CHARS[p.character];
-    const col = ch ? '#' + ch.color.toString(16).padStart(6,'0') : '#ff4444';
+    if (p.id === myId || !p.alive || p.hidden) return;
+    const col = '#' + playerColor(p).toString(16).padStart(6,'0');
     const pt = worldToMM(p.x, p.z);
     // Only draw if within minimap circle
     const ddx = pt.x - MM_CX, ddy = pt.y - MM_CY;
@@ -1337,6 +2149,34 @@ function drawMinimap() {
     ctx.restore();
   });
 
+  // ── KOTH zone ──
+  if (hillCache && hillMesh) {
+    const z   = hillMesh.userData.zone;
+    const pt  = worldToMM(z.x, z.z);
+    const own = hillSide(hillCache.owner);
+    ctx.beginPath();
+    ctx.arc(pt.x, pt.y, z.r * MM_SCALE, 0, Math.PI * 2);
+    ctx.strokeStyle = hillCache.contested ? '#ff1744'
+      : own ? '#' + own.color.toString(16).padStart(6,'0') : 'rgba(255,255,255,0.6)';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  // ── CTF flags ──
+  if (flagCache) {
+    flagCache.forEach(f => {
+      if (f.carrierId === myId) return;
+      const pt = worldToMM(f.x, f.z);
+      const ddx = pt.x - MM_CX, ddy = pt.y - MM_CY;
+      if (ddx*ddx + ddy*ddy > MM_R*MM_R) return;
+      ctx.fillStyle = '#' + TEAM_COLORS[f.team].toString(16).padStart(6,'0');
+      ctx.fillRect(pt.x - 1, pt.y - 8, 2, 10);   // pole
+      ctx.beginPath();                            // pennant
+      ctx.moveTo(pt.x + 1, pt.y - 8); ctx.lineTo(pt.x + 8, pt.y - 5); ctx.lineTo(pt.x + 1, pt.y - 2);
+      ctx.closePath(); ctx.fill();
+    });
+  }
+
   // ── Local player (always center) ──
   // Outer pulse ring
   const pulse = 0.5 + 0.5 * Math.sin(Date.now() * 0.004);
@@ -1404,7 +2244,10 @@ function updateHUD() {
   document.getElementById('ammo-val').style.color       = local.ammo === 0 ? '#ff1744' : local.ammo <= 3 ? '#ff6b35' : '#00e5ff';
   document.getElementById('ammo-max').textContent       = '/ ' + local.maxAmmo;
   document.getElementById('kills-val').textContent      = local.kills;
-  document.getElementById('ping-val').textContent       = `PING: ${currentPing}ms`;
+  document.getElementById('armor-val').textContent      = local.armor > 0 ? `ARMOR ${local.armor}` : '';
+  document.getElementById('money-val').textContent      = roomMode === 'elim' ? `$${local.money}` : '';
+  if (buyMenuOpen()) refreshBuyMenu();
+  document.getElementById('ping-val').textContent       = `PING: ${Math.round(net.rtt)}ms`;
 }
 
 function updateReloadBar() {
@@ -1418,28 +2261,89 @@ function updateReloadBar() {
   }
 }
 
-function updateScoreboard(players) {
-  const sorted = [...players].sort((a, b) => b.kills - a.kills);
-  document.getElementById('sb-rows').innerHTML = sorted.map(p => {
+/**
+ * New element showing `text` as plain text. Use this (never innerHTML)
+ * for anything containing player-supplied strings such as names.
+ */
+function textEl(tag, text, className = '', color = '') {
+  const el = document.createElement(tag);
+  el.textContent = text;
+  if (className) el.className = className;
+  if (color) el.style.color = color;
+  return el;
+}
+
+function updateScoreboard(players, teamScores) {
+  // Team modes: group by team (red first), then by kills (hill points in KOTH)
+  const stat   = roomMode === 'koth' ? 'score' : 'kills';
+  const sorted = [...players].sort((a, b) =>
+    (a.team || '').localeCompare(b.team || '') * -1 || b[stat] - a[stat]);
+  const hex  = c => '#' + c.toString(16).padStart(6,'0');
+  const rows = document.getElementById('sb-rows');
+  rows.textContent = '';
+  if (teamScores) {
+    const teams = textEl('div', '', 'sb-teams');
+    teams.append(
+      textEl('span', `RED ${teamScores.red}`, '', hex(TEAM_COLORS.red)),
+      textEl('span', `${teamScores.blue} BLUE`, '', hex(TEAM_COLORS.blue)));
+    rows.appendChild(teams);
+  }
+  sorted.forEach(p => {
     const isMe = p.id === myId;
-    const ch   = CHARS[p.character];
-    const c    = ch ? '#' + ch.color.toString(16).padStart(6,'0') : '#fff';
-    return `<div class="sb-row">
-      <div class="sb-dot" style="background:${c}"></div>
-      <span class="sb-name" style="color:${isMe ? c : '#666'}">${isMe ? '▶ ' : ''}${p.name}</span>
-      <span class="sb-kills">${p.kills}</span>
-    </div>`;
-  }).join('');
+    const c    = hex(playerColor(p));
+    const row  = textEl('div', '', 'sb-row');
+    const dot  = textEl('div', '', 'sb-dot');
+    dot.style.background = c;
+    row.append(
+      dot,
+      textEl('span', (isMe ? '▶ ' : '') + p.name, 'sb-name', isMe ? c : '#666'),
+      textEl('span', matchCache?.phase === 'warmup' ? (p.ready ? '✓' : '·') : p[stat], 'sb-kills'));
+    rows.appendChild(row);
+  });
+}
+
+/** Plain one-line entry in the kill feed (objective events etc.) */
+function addFeedMessage(text, color = 0xffffff) {
+  const feed = document.getElementById('kill-feed');
+  const el   = document.createElement('div');
+  el.className = 'kf-entry';
+  el.style.borderLeftColor = '#' + color.toString(16).padStart(6,'0');
+  el.textContent = text;
+  feed.appendChild(el);
+  setTimeout(() => el.remove(), 3000);
+}
+
+/** CTF carrier line: who holds each flag, with a callout when it's us */
+function updateFlagStatus(flags) {
+  const el = document.getElementById('flag-status');
+  if (!flags) { el.style.display = 'none'; return; }
+  el.style.display = 'flex';
+  const hex = c => '#' + c.toString(16).padStart(6,'0');
+  const carrying = flags.some(f => f.carrierId === myId);
+  el.textContent = '';
+  flags.forEach(f => {
+    const carrier = f.carrierId && serverPlayerCache.find(p => p.id === f.carrierId);
+    const state   = f.atBase ? 'HOME' : carrier ? `TAKEN · ${carrier.name}` : 'DROPPED';
+    el.appendChild(textEl('span', `${f.team.toUpperCase()} FLAG: ${state}`, '', hex(TEAM_COLORS[f.team])));
+  });
+  if (carrying) el.appendChild(textEl('span', 'YOU HAVE THE FLAG — RETURN TO BASE', 'fs-carry'));
 }
 
-function addKillFeed(killer, victim, killerChar) {
+function addKillFeed(killer, victim, killerChar, killerTeam, teamKill, zone) {
   const feed = document.getElementById('kill-feed');
   const el   = document.createElement('div');
   el.className = 'kf-entry';
-  const ch    = CHARS[killerChar];
-  const color = ch ? '#' + ch.color.toString(16).padStart(6,'0') : '#fff';
+  const color = '#' + playerColor({ character: killerChar, team: killerTeam }).toString(16).padStart(6,'0');
   el.style.borderLeftColor = color;
-  el.innerHTML = `<span style="color:${color}">${killer}</span> <span style="opacity:0.4">✦</span> ${victim}`;
+  const how = textEl('span', teamKill ? 'TEAMKILL' : '✦');
+  how.style.opacity = 0.4;
+  el.append(textEl('span', killer, '', color), ' ', how);
+  if (zone === 'head') {
+    const hs = textEl('span', '⌖', 'kf-hs');
+    hs.title = 'Headshot';
+    el.append(' ', hs);
+  }
+  el.append(' ', victim);
   feed.appendChild(el);
   setTimeout(() => el.remove(), 3000);
 }
@@ -1452,9 +2356,15 @@ function flashDamage(intensity) {
 
 let respawnTimer = null;
 function startDeathCountdown() {
+  // Elimination: no respawn until the next round
+  const elim = roomMode === 'elim';
+  document.getElementById('respawn-lbl').textContent = elim ? 'SPECTATING UNTIL NEXT ROUND' : 'RESPAWNING IN';
+  document.getElementById('respawn-cd').style.display = elim ? 'none' : '';
+  if (respawnTimer) clearInterval(respawnTimer);
+  if (elim) return;
+
   let c = 3;
   document.getElementById('respawn-cd').textContent = c;
-  if (respawnTimer) clearInterval(respawnTimer);
   respawnTimer = setInterval(() => {
     c--;
     if (c <= 0) { clearInterval(respawnTimer); return; }
@@ -1754,7 +2664,7 @@ function initMobile() {
       socket.emit('reload');
       local.reloading  = true;
       reloadStart      = performance.now();
-      reloadDuration   = CHARS[myChar]?.reloadMs || 1500;
+      reloadDuration   = weaponReloadMs();
       playSound('reload');
       updateReloadBar();
     }
@@ -1800,8 +2710,10 @@ function animate() {
 
   if (gameStarted) {
     updateMovement(dt);
+    updateInterpolation();
     applyScreenShake();
     updateRecoil();
+    updateNetGraph();
   }
 
   if (gameStarted) drawMinimap();
@@ -0,0 +1,761 @@
+/**
+ * CE Strike 3D — Map Editor
+ * ─────────────────────────────────────────────────────────────
+ * Served at /editor. Draws the arena with the game's own buildMap()
+ * (world.js) and edits the map file format described under MAPS in
+ * server.js:
+ *   • Select, move (drag) and resize (shift+drag) boxes, place new
+ *     boxes and spawn points, all snapped to the chosen grid step;
+ *     turn boxes (Y) and make them ramps in the selection panel
+ *   • Top-down and free-fly cameras (C toggles)
+ *   • Load maps from the server, import / export JSON files
+ *   • SAVE writes maps/<id>.json through the server, which validates it
+ *     like any other map file (only when the server allows saving, and
+ *     never over the maps it started with); TEST THIS MAP saves and opens
+ *     the game in the map's private test room
+ * ─────────────────────────────────────────────────────────────
+ */
+
+// ═══════════════════════════════════════════════
+// CONFIG
+// ═══════════════════════════════════════════════
+const MAP_FORMAT   = 1;
+const FLY_SPEED    = 30;     // free camera, units per second
+const LOOK_SENS    = 0.004;  // free camera, radians per pixel
+const MIN_HALF     = 0.25;   // smallest box half-extent
+const NEW_BOX      = { w: 2, h: 1, d: 2 };
+const YAW_STEP     = 15;     // degrees per Y press
+const SPAWN_PICK_R = 1.5;    // how close a click must land to grab a spawn
+const BOUNDS_MIN   = 5;
+const BOUNDS_MAX   = 250;    // MAP_MAX_HALF in server.js
+
+// Mirrors DEFAULT_THEME in server.js — used for keys a map leaves out
+const DEFAULT_THEME = {
+  sky: '#060c1a', fog: '#080c18', fogDensity: 0.012,
+  floor: '#0c1020', grid: '#1a2040', wall: '#1a2040', box: '#1c2438',
+  edge: '#00e5ff', ambient: '#1a2040', sun: '#ffeedd'
+};
+const THEME_COLORS = ['sky', 'fog', 'floor', 'grid', 'wall', 'box', 'edge', 'ambient', 'sun'];
+
+// ═══════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════
+let doc      = blankMap();   // the map file being edited
+let tool     = 'select';     // 'select' | 'box' | 'spawn'
+let selected = null;         // { kind: 'box' | 'spawn', item } — item is the object inside doc
+let drag     = null;         // active left-button drag (see onPointerDown)
+let snapStep = 1;
+let camMode  = 'top';        // 'top' | 'free'
+let canSave  = true;
+
+const editGroup = new THREE.Group();   // spawn pillars + selection outline, drawn over buildMap's scene
+scene.add(editGroup);
+
+function blankMap() {
+  return {
+    format: MAP_FORMAT,
+    name:   'New Map',
+    bounds: { w: 40, d: 40 },
+    theme:  {},
+    boxes:  [],
+    spawns: [{ x: 0, z: -30 }, { x: 0, z: 30 }]
+  };
+}
+
+const snap  = v => snapStep ? Math.round(v / snapStep) * snapStep : +v.toFixed(2);
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+const $     = id => document.getElementById(id);
+
+// ═══════════════════════════════════════════════
+// SCENE
+// ═══════════════════════════════════════════════
+
+/** Outer walls, generated from bounds the same way the server does */
+function walls({ w, d }) {
+  return [
+    { x: 0,  y: 3, z:  d, w, h: 6, d: 1, wall: true },
+    { x: 0,  y: 3, z: -d, w, h: 6, d: 1, wall: true },
+    { x:  w, y: 3, z: 0,  w: 1, h: 6, d, wall: true },
+    { x: -w, y: 3, z: 0,  w: 1, h: 6, d, wall: true }
+  ];
+}
+
+/** Redraw everything from `doc` (boxes keep their identity, so selection survives) */
+function rebuild() {
+  mapW = doc.bounds.w; mapD = doc.bounds.d;
+  buildMap({
+    id:        null,
+    boxes:     walls(doc.bounds).concat(doc.boxes),
+    spawns:    doc.spawns,
+    theme:     { ...DEFAULT_THEME, ...doc.theme },
+    flagBases: doc.flagBases || null,
+    hillZone:  doc.hillZone || null
+  });
+  // The game shows mode objects from match state; here they're always on
+  for (const team in flagMeshes) flagMeshes[team].flag.visible = flagMeshes[team].pad.visible = true;
+  if (hillMesh) hillMesh.visible = true;
+  applyFog();
+  drawEditGroup();
+}
+
+/** Fog hides the map from the top-down camera, so only the free camera shows it */
+function applyFog() {
+  scene.fog.density = camMode === 'top' ? 0 : doc.theme.fogDensity ?? DEFAULT_THEME.fogDensity;
+}
+
+function drawEditGroup() {
+  editGroup.children.slice().forEach(obj => {
+    editGroup.remove(obj);
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) obj.material.dispose();
+  });
+
+  // Spawn pillars in their team's color (red half z < 0, blue half z > 0)
+  doc.spawns.forEach(sp => {
+    const color  = sp.z < 0 ? TEAM_COLORS.red : sp.z > 0 ? TEAM_COLORS.blue : 0xffffff;
+    const pillar = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.25, 0.25, 2.4, 8),
+      new THREE.MeshBasicMaterial({ color })
+    );
+    pillar.position.set(sp.x, 1.2, sp.z);
+    editGroup.add(pillar);
+  });
+
+  if (!selected) return;
+  if (selected.kind === 'box') {
+    const entry = mapBoxMeshes.find(e => e.box === selected.item);
+    if (entry) editGroup.add(new THREE.BoxHelper(entry.mesh, 0xffeb3b));
+  } else {
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(1.3, 1.6, 24),
+      new THREE.MeshBasicMaterial({ color: 0xffeb3b, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.set(selected.item.x, 0.06, selected.item.z);
+    editGroup.add(ring);
+  }
+}
+
+// ═══════════════════════════════════════════════
+// CAMERA
+// Top-down looks straight down with north (-z) up; right-drag pans and
+// the wheel zooms. Free camera flies with WASD + Q/E, right-drag looks.
+// ═══════════════════════════════════════════════
+const cam  = { x: 0, z: 0, height: 70, pos: new THREE.Vector3(0, 30, 60), yaw: 0, pitch: -0.45 };
+const keys = {};
+
+function setCamMode(mode) {
+  camMode = mode;
+  $('ed-cam').textContent = mode === 'top' ? 'C TOP-DOWN' : 'C FREE CAM';
+  if (mode === 'free') {
+    // Start above the spot the top-down view was centered on
+    cam.pos.set(cam.x, 25, cam.z + 45);
+    cam.yaw = 0; cam.pitch = -0.45;
+  }
+  applyFog();
+}
+
+function updateCamera(dt) {
+  if (camMode === 'top') {
+    camera.up.set(0, 0, -1);
+    camera.position.set(cam.x, cam.height, cam.z);
+    camera.lookAt(cam.x, 0, cam.z);
+    return;
+  }
+  const cp = Math.cos(cam.pitch);
+  const fwd   = new THREE.Vector3(-Math.sin(cam.yaw) * cp, Math.sin(cam.pitch), -Math.cos(cam.yaw) * cp);
+  const right = new THREE.Vector3(Math.cos(cam.yaw), 0, -Math.sin(cam.yaw));
+  const step  = FLY_SPEED * dt * (keys.ShiftLeft ? 2.5 : 1);
+  if (keys.KeyW) cam.pos.addScaledVector(fwd,  step);
+  if (keys.KeyS) cam.pos.addScaledVector(fwd, -step);
+  if (keys.KeyD) cam.pos.addScaledVector(right,  step);
+  if (keys.KeyA) cam.pos.addScaledVector(right, -step);
+  if (keys.KeyE) cam.pos.y += step;
+  if (keys.KeyQ) cam.pos.y = Math.max(0.5, cam.pos.y - step);
+  camera.up.set(0, 1, 0);
+  camera.position.copy(cam.pos);
+  camera.rotation.order = 'YXZ';
+  camera.rotation.set(cam.pitch, cam.yaw, 0);
+}
+
+/** Fit the whole map in the top-down view */
+function frameMap() {
+  cam.x = 0; cam.z = 0;
+  cam.height = Math.max(doc.bounds.w, doc.bounds.d) * 1.45;
+}
+
+// ═══════════════════════════════════════════════
+// PICKING
+// ═══════════════════════════════════════════════
+const raycaster = new THREE.Raycaster();
+const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+function aimRay(e) {
+  const ndc = new THREE.Vector2((e.clientX / innerWidth) * 2 - 1, -(e.clientY / innerHeight) * 2 + 1);
+  raycaster.setFromCamera(ndc, camera);
+}
+
+/** Where the pointer ray meets the floor, or null (looking at the sky) */
+function floorPoint(e) {
+  aimRay(e);
+  const p = new THREE.Vector3();
+  return raycaster.ray.intersectPlane(floorPlane, p) ? p : null;
+}
+
+/** Nearest editable box under the pointer: { box, mesh, point } */
+function pickBox(e) {
+  aimRay(e);
+  const entries = mapBoxMeshes.filter(en => !en.box.wall);
+  const hit = raycaster.intersectObjects(entries.map(en => en.mesh))[0];
+  if (!hit) return null;
+  const entry = entries.find(en => en.mesh === hit.object);
+  return { box: entry.box, mesh: entry.mesh, point: hit.point };
+}
+
+function pickSpawn(p) {
+  let best = null, bestDist = SPAWN_PICK_R;
+  for (const sp of doc.spawns) {
+    const d = Math.hypot(sp.x - p.x, sp.z - p.z);
+    if (d < bestDist) { best = sp; bestDist = d; }
+  }
+  return best;
+}
+
+/** Keep a point on the floor inside the outer walls */
+function insideBounds(x, z, margin = 0) {
+  return {
+    x: clamp(x, -doc.bounds.w + margin, doc.bounds.w - margin),
+    z: clamp(z, -doc.bounds.d + margin, doc.bounds.d - margin)
+  };
+}
+
+// ═══════════════════════════════════════════════
+// EDITING
+// ═══════════════════════════════════════════════
+function select(kind, item) {
+  selected = item ? { kind, item } : null;
+  drawEditGroup();
+  refreshInspector();
+}
+
+function setTool(name) {
+  tool = name;
+  document.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('on', b.dataset.tool === name));
+}
+
+function placeBox(e) {
+  const onTop = pickBox(e);
+  const p = onTop ? onTop.point : floorPoint(e);
+  if (!p) return;
+  const { x, z } = insideBounds(snap(p.x), snap(p.z));
+  const base = onTop ? onTop.box.y + onTop.box.h : 0;   // stack on the box that was clicked
+  const box  = { x, y: +(base + NEW_BOX.h).toFixed(2), z, ...NEW_BOX };
+  doc.boxes.push(box);
+  rebuild();
+  select('box', box);
+}
+
+function placeSpawn(e) {
+  const p = floorPoint(e);
+  if (!p) return;
+  const sp = insideBounds(snap(p.x), snap(p.z), 1);
+  doc.spawns.push(sp);
+  rebuild();
+  select('spawn', sp);
+}
+
+function removeSelected() {
+  if (!selected) return;
+  const list = selected.kind === 'box' ? doc.boxes : doc.spawns;
+  list.splice(list.indexOf(selected.item), 1);
+  selected = null;
+  rebuild();
+  refreshInspector();
+}
+
+function duplicateSelected() {
+  if (!selected) return;
+  const offset = snapStep || 1;
+  const copy = { ...selected.item, x: selected.item.x + offset * 2, z: selected.item.z + offset * 2 };
+  (selected.kind === 'box' ? doc.boxes : doc.spawns).push(copy);
+  rebuild();
+  select(selected.kind, copy);
+}
+
+/** Y / shift+Y: turn the selected box by YAW_STEP degrees */
+function turnSelected(dir) {
+  if (!selected || selected.kind !== 'box') return;
+  const yaw = (((selected.item.yaw || 0) + dir * YAW_STEP) % 360 + 360) % 360;
+  if (yaw) selected.item.yaw = yaw;
+  else delete selected.item.yaw;
+  rebuild();
+  refreshInspector();
+}
+
+/** Arrow keys / R / F: move the selection by one snap step */
+function nudge(dx, dy, dz) {
+  if (!selected) return;
+  const step = snapStep || MIN_HALF;
+  const item = selected.item;
+  Object.assign(item, insideBounds(item.x + dx * step, item.z + dz * step));
+  if (selected.kind === 'box') item.y = Math.max(item.h * -1 + MIN_HALF, +(item.y + dy * step).toFixed(2));
+  rebuild();
+  refreshInspector();
+}
+
+// ── Pointer ──
+const canvas = $('cvs');
+canvas.addEventListener('contextmenu', e => e.preventDefault());
+
+canvas.addEventListener('pointerdown', e => {
+  canvas.setPointerCapture(e.pointerId);
+  if (e.button === 2) { drag = { look: true, lastX: e.clientX, lastY: e.clientY }; return; }
+  if (e.button !== 0) return;
+
+  if (tool === 'box')   return placeBox(e);
+  if (tool === 'spawn') return placeSpawn(e);
+
+  const p  = floorPoint(e);
+  const sp = p && pickSpawn(p);
+  if (sp) {
+    select('spawn', sp);
+    drag = { item: sp, offX: p.x - sp.x, offZ: p.z - sp.z };
+    return;
+  }
+  const hit = pickBox(e);
+  if (!hit) return select(null);
+  select('box', hit.box);
+  if (!p) return;
+  // Shift: resize the footprint (half-extents follow the pointer); else move
+  drag = { item: hit.box, mesh: hit.mesh, resize: e.shiftKey,
+           offX: p.x - hit.box.x, offZ: p.z - hit.box.z, w0: hit.box.w, d0: hit.box.d };
+});
+
+canvas.addEventListener('pointermove', e => {
+  const p = floorPoint(e);
+  if (p && !drag) setStatus(`X ${p.x.toFixed(1)}  Z ${p.z.toFixed(1)}`);
+  if (!drag) return;
+
+  if (drag.look) {
+    const dx = e.clientX - drag.lastX, dy = e.clientY - drag.lastY;
+    drag.lastX = e.clientX; drag.lastY = e.clientY;
+    if (camMode === 'top') {
+      const perPx = 2 * cam.height * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) / innerHeight;
+      cam.x -= dx * perPx; cam.z -= dy * perPx;
+    } else {
+      cam.yaw  -= dx * LOOK_SENS;
+      cam.pitch = clamp(cam.pitch - dy * LOOK_SENS, -1.5, 1.5);
+    }
+    return;
+  }
+  if (!p) return;
+
+  const item = drag.item;
+  if (drag.resize) {
+    const { lx, lz } = boxLocal(item, p.x, p.z);   // a turned box resizes along its own sides
+    item.w = Math.max(MIN_HALF, snap(Math.abs(lx)));
+    item.d = Math.max(MIN_HALF, snap(Math.abs(lz)));
+    drag.mesh.scale.set(item.w / drag.w0, 1, item.d / drag.d0);
+  } else {
+    Object.assign(item, insideBounds(snap(p.x - drag.offX), snap(p.z - drag.offZ)));
+    if (drag.mesh) drag.mesh.position.set(item.x, item.y, item.z);
+  }
+  drag.moved = true;
+  drawEditGroup();
+  refreshInspector();
+});
+
+canvas.addEventListener('pointerup', () => {
+  if (drag && drag.moved) rebuild();
+  drag = null;
+});
+
+canvas.addEventListener('wheel', e => {
+  e.preventDefault();
+  if (camMode === 'top') {
+    cam.height = clamp(cam.height * (e.deltaY > 0 ? 1.12 : 1 / 1.12), 8, 450);
+  } else {
+    const cp = Math.cos(cam.pitch);
+    const fwd = new THREE.Vector3(-Math.sin(cam.yaw) * cp, Math.sin(cam.pitch), -Math.cos(cam.yaw) * cp);
+    cam.pos.addScaledVector(fwd, e.deltaY > 0 ? -4 : 4);
+  }
+}, { passive: false });
+
+// ── Keyboard ──
+const typing = () => ['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement.tagName);
+
+document.addEventListener('keydown', e => {
+  if (typing()) return;
+  keys[e.code] = true;
+  if ((e.ctrlKey || e.metaKey) && e.code === 'KeyD') { e.preventDefault(); duplicateSelected(); return; }
+  switch (e.code) {
+    case 'Digit1': setTool('select'); break;
+    case 'Digit2': setTool('box');    break;
+    case 'Digit3': setTool('spawn');  break;
+    case 'KeyC':   setCamMode(camMode === 'top' ? 'free' : 'top'); break;
+    case 'Delete': case 'Backspace': e.preventDefault(); removeSelected(); break;
+    case 'Escape': select(null); break;
+    case 'ArrowLeft':  e.preventDefault(); nudge(-1, 0, 0); break;
+    case 'ArrowRight': e.preventDefault(); nudge( 1, 0, 0); break;
+    case 'ArrowUp':    e.preventDefault(); nudge( 0, 0, -1); break;
+    case 'ArrowDown':  e.preventDefault(); nudge( 0, 0, 1); break;
+    case 'KeyY': turnSelected(e.shiftKey ? -1 : 1); break;
+    case 'KeyR': nudge(0,  1, 0); break;
+    case 'KeyF': nudge(0, -1, 0); break;
+  }
+});
+document.addEventListener('keyup', e => { keys[e.code] = false; });
+window.addEventListener('blur', () => { for (const k in keys) keys[k] = false; });
+
+// ═══════════════════════════════════════════════
+// PANEL
+// ═══════════════════════════════════════════════
+function setStatus(text, kind = '') {
+  const el = $('ed-status');
+  el.textContent = text;
+  el.className = kind;
+}
+
+/** Number fields bound to `obj[key]`; `min` clamps sizes */
+function numberField(label, obj, key, { min = -Infinity, step = snapStep || 0.25 } = {}) {
+  const wrap  = document.createElement('label');
+  const input = document.createElement('input');
+  input.type  = 'number';
+  input.step  = step;
+  input.value = obj[key] ?? 0;
+  input.dataset.key = key;
+  input.addEventListener('change', () => {
+    const v = parseFloat(input.value);
+    if (!Number.isFinite(v)) { input.value = obj[key] ?? 0; return; }
+    obj[key] = Math.max(min, v);
+    rebuild();
+  });
+  wrap.append(label, input);
+  return wrap;
+}
+
+function refreshInspector() {
+  const box = $('ed-inspector');
+  // Only patch values while dragging so focus and layout stay put
+  if (drag && box.dataset.for === String(doc.boxes.indexOf(selected?.item))) {
+    box.querySelectorAll('input[data-key]').forEach(i => {
+      i.value = selected.item[i.dataset.key] ?? (i.type === 'number' ? 0 : '');
+    });
+    return;
+  }
+  box.dataset.for = selected ? String(doc.boxes.indexOf(selected.item)) : '';
+  box.querySelectorAll(':scope > :not(legend)').forEach(el => el.remove());
+
+  if (!selected) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'NOTHING SELECTED';
+    box.appendChild(empty);
+    return;
+  }
+
+  const item = selected.item;
+  const rows = selected.kind === 'box'
+    ? [['X', 'x'], ['Y', 'y'], ['Z', 'z']].map(([l, k]) => numberField(l, item, k))
+      .concat([['W', 'w'], ['H', 'h'], ['D', 'd']].map(([l, k]) => numberField(l, item, k, { min: MIN_HALF })))
+    : [numberField('X', item, 'x'), numberField('Z', item, 'z')];
+  for (let i = 0; i < rows.length; i += 3) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.append(...rows.slice(i, i + 3));
+    box.appendChild(row);
+  }
+
+  if (selected.kind === 'box') {
+    // Yaw (degrees) and shape: a ramp rises toward the box's local +z
+    const turnRow   = document.createElement('div');
+    const shapeWrap = document.createElement('label');
+    const shape     = document.createElement('select');
+    turnRow.className = 'row';
+    ['box', 'ramp'].forEach(v => {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = v.toUpperCase();
+      shape.appendChild(opt);
+    });
+    shape.value = item.shape || 'box';
+    shape.addEventListener('change', () => {
+      if (shape.value === 'ramp') item.shape = 'ramp';
+      else delete item.shape;
+      rebuild();
+    });
+    shapeWrap.append('SHAPE', shape);
+    turnRow.append(numberField('YAW', item, 'yaw', { step: YAW_STEP }), shapeWrap);
+    box.appendChild(turnRow);
+
+    const row  = document.createElement('div');
+    const wrap = document.createElement('label');
+    const note = document.createElement('input');
+    row.className = 'row';
+    note.type = 'text'; note.maxLength = 60; note.value = item.note || ''; note.placeholder = 'optional';
+    note.dataset.key = 'note';
+    note.addEventListener('change', () => {
+      if (note.value.trim()) item.note = note.value.trim();
+      else delete item.note;
+    });
+    wrap.append('NOTE', note);
+    row.appendChild(wrap);
+    box.appendChild(row);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'row';
+  const dup = document.createElement('button');
+  dup.textContent = 'DUPLICATE';
+  dup.addEventListener('click', duplicateSelected);
+  const del = document.createElement('button');
+  del.textContent = 'DELETE';
+  del.addEventListener('click', removeSelected);
+  actions.append(dup, del);
+  box.appendChild(actions);
+}
+
+/** Fill every map-wide field from `doc` */
+function refreshPanel() {
+  $('ed-name').value = doc.name || '';
+  $('ed-bw').value   = doc.bounds.w;
+  $('ed-bd').value   = doc.bounds.d;
+
+  $('ed-flags').checked = !!doc.flagBases;
+  for (const row of document.querySelectorAll('[data-flag]')) {
+    const base = doc.flagBases && doc.flagBases[row.dataset.flag];
+    row.querySelectorAll('input').forEach(i => { i.value = base ? base[i.dataset.key] : ''; i.disabled = !base; });
+  }
+  $('ed-hill').checked = !!doc.hillZone;
+  $('ed-hill-row').querySelectorAll('input').forEach(i => {
+    i.value = doc.hillZone ? doc.hillZone[i.dataset.key] : '';
+    i.disabled = !doc.hillZone;
+  });
+
+  for (const input of $('ed-theme').querySelectorAll('input')) {
+    input.value = doc.theme[input.dataset.key] || DEFAULT_THEME[input.dataset.key];
+  }
+  $('ed-fog').value = doc.theme.fogDensity ?? DEFAULT_THEME.fogDensity;
+  refreshInspector();
+}
+
+// ── Map-wide fields ──
+$('ed-name').addEventListener('change', e => { doc.name = e.target.value.trim(); });
+
+for (const [id, key] of [['ed-bw', 'w'], ['ed-bd', 'd']]) {
+  $(id).addEventListener('change', e => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v)) doc.bounds[key] = clamp(Math.round(v), BOUNDS_MIN, BOUNDS_MAX);
+    e.target.value = doc.bounds[key];
+    rebuild();
+  });
+}
+
+$('ed-flags').addEventListener('change', e => {
+  if (e.target.checked) {
+    const z = Math.max(1, doc.bounds.d - 8);
+    doc.flagBases = { red: { x: 0, z: -z }, blue: { x: 0, z } };
+  } else {
+    delete doc.flagBases;
+  }
+  refreshPanel();
+  rebuild();
+});
+
+$('ed-hill').addEventListener('change', e => {
+  if (e.target.checked) doc.hillZone = { x: 0, z: 0, r: 10 };
+  else delete doc.hillZone;
+  refreshPanel();
+  rebuild();
+});
+
+/** Flag base / hill inputs write straight into doc */
+function bindPointInputs(container, target) {
+  container.querySelectorAll('input').forEach(input => input.addEventListener('change', () => {
+    const obj = target();
+    const v = parseFloat(input.value);
+    if (!obj) return;
+    if (Number.isFinite(v)) obj[input.dataset.key] = input.dataset.key === 'r' ? Math.max(1, v) : v;
+    input.value = obj[input.dataset.key];
+    rebuild();
+  }));
+}
+document.querySelectorAll('[data-flag]').forEach(row =>
+  bindPointInputs(row, () => doc.flagBases && doc.flagBases[row.dataset.flag]));
+bindPointInputs($('ed-hill-row'), () => doc.hillZone);
+
+// ── Theme ──
+THEME_COLORS.forEach(key => {
+  const label = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'color';
+  input.dataset.key = key;
+  input.addEventListener('change', () => { doc.theme[key] = input.value; rebuild(); });
+  label.append(key.toUpperCase(), input);
+  $('ed-theme').appendChild(label);
+});
+
+$('ed-fog').addEventListener('change', e => {
+  const v = parseFloat(e.target.value);
+  if (Number.isFinite(v) && v >= 0) doc.theme.fogDensity = v;
+  e.target.value = doc.theme.fogDensity ?? DEFAULT_THEME.fogDensity;
+  rebuild();
+});
+
+// ── Tools ──
+document.querySelectorAll('[data-tool]').forEach(b => b.addEventListener('click', () => setTool(b.dataset.tool)));
+$('ed-snap').addEventListener('change', e => { snapStep = parseFloat(e.target.value); });
+$('ed-cam').addEventListener('click', () => setCamMode(camMode === 'top' ? 'free' : 'top'));
+
+// ═══════════════════════════════════════════════
+// FILES
+// Load / save go through the game server (see MAP EDITOR in server.js);
+// import / export work on local JSON files.
+// ═══════════════════════════════════════════════
+
+/** The map as a file: known fields in the usual order, empty theme left out */
+function mapFile() {
+  const { format, name, bounds, theme, boxes, spawns, flagBases, hillZone } = doc;
+  const out = { format, name, bounds };
+  if (Object.keys(theme).length) out.theme = theme;
+  Object.assign(out, { boxes, spawns });
+  if (flagBases) out.flagBases = flagBases;
+  if (hillZone)  out.hillZone  = hillZone;
+  return out;
+}
+
+/** Start editing `file` (a parsed map file) under `id` */
+function openMap(file, id) {
+  if (!file || typeof file !== 'object' || file.format !== MAP_FORMAT) {
+    setStatus(`Not a map file (format must be ${MAP_FORMAT})`, 'error');
+    return;
+  }
+  doc = {
+    ...file,
+    theme:  file.theme  || {},
+    bounds: file.bounds || { w: 40, d: 40 },
+    boxes:  Array.isArray(file.boxes)  ? file.boxes  : [],
+    spawns: Array.isArray(file.spawns) ? file.spawns : []
+  };
+  $('ed-id').value = id;
+  selected = null;
+  frameMap();
+  refreshPanel();
+  rebuild();
+  setStatus(`Editing ${id || 'a new map'}`);
+}
+
+async function loadMapList() {
+  try {
+    const res  = await fetch('/api/maps');
+    const data = await res.json();
+    const select = $('ed-load');
+    select.textContent = '';
+    data.maps.forEach(m => {
+      const opt = document.createElement('option');
+      opt.value = m.id;
+      opt.textContent = m.name;
+      select.appendChild(opt);
+    });
+    canSave = data.canSave;
+    $('ed-save').disabled = $('ed-test').disabled = !canSave;
+    if (!canSave) setStatus('Saving is turned off on this server (MAP_EDITOR_SAVE=1) — use EXPORT', 'error');
+  } catch (err) {
+    setStatus(`Could not reach the server: ${err.message}`, 'error');
+  }
+}
+
+async function loadMap(id) {
+  try {
+    const res = await fetch(`/maps/${encodeURIComponent(id)}.json`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    openMap(await res.json(), id);
+  } catch (err) {
+    setStatus(`Could not load ${id}: ${err.message}`, 'error');
+  }
+}
+
+/** Save to the server; resolves to { id, room } or null (problems shown in the status line) */
+async function saveMap() {
+  const id = $('ed-id').value.trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(id)) {
+    setStatus('Give the map an ID first: a-z, 0-9, "-" and "_", starting with a letter or digit (up to 32)', 'error');
+    $('ed-id').focus();
+    return null;
+  }
+  try {
+    const res  = await fetch(`/api/maps/${id}`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(mapFile())
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setStatus(`Not saved:\n${data.errors.map(e => `• ${e}`).join('\n')}`, 'error');
+      return null;
+    }
+    setStatus(`Saved maps/${id}.json`, 'ok');
+    loadMapList();
+    return data;
+  } catch (err) {
+    setStatus(`Save failed: ${err.message}`, 'error');
+    return null;
+  }
+}
+
+$('ed-load-btn').addEventListener('click', () => { if ($('ed-load').value) loadMap($('ed-load').value); });
+$('ed-new').addEventListener('click', () => openMap(blankMap(), ''));
+$('ed-save').addEventListener('click', saveMap);
+
+// Opens the lobby with the test room and this map filled in
+$('ed-test').addEventListener('click', async () => {
+  const saved = await saveMap();
+  if (saved) window.open(`/?room=${saved.room}&map=${saved.id}`, '_blank');
+});
+
+$('ed-export').addEventListener('click', () => {
+  const blob = new Blob([JSON.stringify(mapFile(), null, 2) + '\n'], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${$('ed-id').value.trim() || 'map'}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+});
+
+$('ed-import').addEventListener('click', () => $('ed-file').click());
+$('ed-file').addEventListener('change', e => {
+  const file = e.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      openMap(JSON.parse(reader.result), file.name.replace(/\.json$/i, '').toLowerCase());
+    } catch (err) {
+      setStatus(`${file.name} is not valid JSON: ${err.message}`, 'error');
+    }
+  };
+  reader.readAsText(file);
+  e.target.value = '';
+});
+
+// ═══════════════════════════════════════════════
+// START
+// ═══════════════════════════════════════════════
+let lastFrame = performance.now();
+
+function animate(now) {
+  requestAnimationFrame(animate);
+  const dt = Math.min(0.1, (now - lastFrame) / 1000);
+  lastFrame = now;
+  updateCamera(dt);
+  renderer.render(scene, camera);
+}
+
+setTool('select');
+setCamMode('top');
+openMap(blankMap(), '');
+loadMapList().then(() => {
+  const id = new URLSearchParams(location.search).get('map');
+  if (id) loadMap(id);
+});
+requestAnimationFrame(animate);
@@ -0,0 +1,278 @@
+/**
+ * CE Strike 3D — World
+ * ─────────────────────────────────────────────────────────────
+ * Three.js scene, lighting and arena building shared by the game
+ * (index.html → client.js) and the map editor (editor.html → editor.js).
+ * Loaded as a plain script before either of them; everything declared
+ * here is a global they build on.
+ *
+ * buildMap() takes a 'map_data' payload (see MAPS in server.js) and
+ * clearMap() drops it again, so a page can swap arenas at any time.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+const FOV = 75;
+
+// Team colors (mirrors TEAMS in server)
+const TEAM_COLORS = { red: 0xff3b3b, blue: 0x3b8bff };
+
+// ═══════════════════════════════════════════════
+// THREE.JS SETUP
+// ═══════════════════════════════════════════════
+const scene    = new THREE.Scene();
+const camera   = new THREE.PerspectiveCamera(FOV, innerWidth / innerHeight, 0.1, 500);
+const renderer = new THREE.WebGLRenderer({ canvas: document.getElementById('cvs'), antialias: true });
+
+renderer.setPixelRatio(Math.min(devicePixelRatio, 2));
+renderer.setSize(innerWidth, innerHeight);
+renderer.shadowMap.enabled = true;
+renderer.shadowMap.type    = THREE.PCFSoftShadowMap;
+renderer.setClearColor(0x080c18);
+renderer.toneMapping       = THREE.ACESFilmicToneMapping;
+renderer.toneMappingExposure = 1.1;
+
+window.addEventListener('resize', () => {
+  renderer.setSize(innerWidth, innerHeight);
+  camera.aspect = innerWidth / innerHeight;
+  camera.updateProjectionMatrix();
+});
+
+// ── Fog ──
+scene.fog = new THREE.FogExp2(0x080c18, 0.012);
+
+// ── Lighting ──
+const ambient = new THREE.AmbientLight(0x1a2040, 1.2);
+scene.add(ambient);
+
+const sun = new THREE.DirectionalLight(0xffeedd, 1.8);
+sun.position.set(20, 50, 30);
+sun.castShadow = true;
+sun.shadow.mapSize.set(2048, 2048);
+sun.shadow.camera.near = 0.5;
+sun.shadow.camera.far  = 200;
+sun.shadow.camera.left = sun.shadow.camera.bottom = -100;
+sun.shadow.camera.right = sun.shadow.camera.top    =  100;
+scene.add(sun);
+
+// Blue fill light from below
+const fill = new THREE.PointLight(0x0040aa, 0.6, 200);
+fill.position.set(0, 1, 0);
+scene.add(fill);
+
+/** Create a box mesh with optional emissive glow */
+function makeBox(w, h, d, color, emissive = 0x000000, emissiveIntensity = 0) {
+  const geo = new THREE.BoxGeometry(w * 2, h * 2, d * 2);
+  const mat = new THREE.MeshStandardMaterial({
+    color, emissive, emissiveIntensity, roughness: 0.7, metalness: 0.2
+  });
+  const mesh = new THREE.Mesh(geo, mat);
+  mesh.castShadow    = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+/** makeBox folded into a wedge: floor height at local -z, full height at +z (map ramps) */
+function makeRamp(w, h, d, color, emissive, emissiveIntensity) {
+  const mesh = makeBox(w, h, d, color, emissive, emissiveIntensity);
+  const pos  = mesh.geometry.attributes.position;
+  for (let i = 0; i < pos.count; i++) {
+    if (pos.getY(i) > 0 && pos.getZ(i) < 0) pos.setY(i, -h);
+  }
+  mesh.geometry.computeVertexNormals();
+  return mesh;
+}
+
+// ═══════════════════════════════════════════════
+// WORLD BUILDING
+// ═══════════════════════════════════════════════
+let mapBoxMeshes = [];
+let mapW = 80, mapD = 80;
+let mapId    = null;                // id of the arena in the scene
+let mapVersion = null;              // and its content version (a map saved again keeps its id)
+let mapGroup = new THREE.Group();   // everything buildMap adds, so clearMap can drop it
+scene.add(mapGroup);
+
+// Box geometry (mirrors the server's): boxes may be turned by `yaw`
+// degrees and may be ramps rising toward their local +z. Used by the
+// game's collision and the editor.
+function boxLocalDir(box, x, z) {
+  if (!box.yaw) return { lx: x, lz: z };
+  const a = box.yaw * Math.PI / 180, c = Math.cos(a), s = Math.sin(a);
+  return { lx: x * c - z * s, lz: x * s + z * c };
+}
+function boxLocal(box, x, z) {
+  return boxLocalDir(box, x - box.x, z - box.z);
+}
+function boxWorldDir(box, lx, lz) {
+  if (!box.yaw) return { x: lx, z: lz };
+  const a = box.yaw * Math.PI / 180, c = Math.cos(a), s = Math.sin(a);
+  return { x: lx * c + lz * s, z: -lx * s + lz * c };
+}
+function boxTop(box, lz) {
+  if (box.shape !== 'ramp') return box.y + box.h;
+  return box.y + box.h * Math.max(-1, Math.min(1, lz / box.d));
+}
+
+/** Build the arena from a 'map_data' payload (see MAPS in server.js) */
+function buildMap({ id, version, boxes, spawns, theme, flagBases, hillZone }) {
+  clearMap();
+  mapId = id;
+  mapVersion = version;
+  // Theme: fog, background and light colors
+  scene.fog.color.set(theme.fog);
+  scene.fog.density = theme.fogDensity;
+  renderer.setClearColor(theme.fog);
+  ambient.color.set(theme.ambient);
+  sun.color.set(theme.sun);
+  const dim = hex => new THREE.Color(hex).multiplyScalar(0.5);
+
+  // Floor
+  const floorGeo = new THREE.PlaneGeometry(mapW * 2, mapD * 2, 40, 40);
+  const floorMat = new THREE.MeshStandardMaterial({
+    color: theme.floor, roughness: 0.9, metalness: 0.1
+  });
+  // Add grid pattern via wireframe overlay
+  const floor = new THREE.Mesh(floorGeo, floorMat);
+  floor.rotation.x = -Math.PI / 2;
+  floor.receiveShadow = true;
+  mapGroup.add(floor);
+
+  // Floor grid lines
+  const gridHelper = new THREE.GridHelper(mapW * 2, 40, theme.grid, dim(theme.grid));
+  gridHelper.position.y = 0.01;
+  mapGroup.add(gridHelper);
+
+  // Sky — gradient via a large sphere
+  const skyGeo = new THREE.SphereGeometry(400, 16, 8);
+  const skyMat = new THREE.MeshBasicMaterial({
+    color: theme.sky, side: THREE.BackSide
+  });
+  mapGroup.add(new THREE.Mesh(skyGeo, skyMat));
+
+  // Stars (random points)
+  const starCount = 600;
+  const starGeo   = new THREE.BufferGeometry();
+  const starVerts = new Float32Array(starCount * 3);
+  for (let i = 0; i < starCount * 3; i++) {
+    starVerts[i] = (Math.random() - 0.5) * 700;
+  }
+  starGeo.setAttribute('position', new THREE.BufferAttribute(starVerts, 3));
+  mapGroup.add(new THREE.Points(starGeo, new THREE.PointsMaterial({ color:0xaaaaff, size:0.4 })));
+
+  // Map boundary glow strips
+  const glowMat = new THREE.MeshBasicMaterial({ color: theme.edge, transparent:true, opacity:0.35 });
+  [[mapW, 0, 0, 0], [-mapW, 0, 0, 0], [0, 0, mapD, Math.PI/2], [0, 0, -mapD, Math.PI/2]].forEach(([x,_,z,ry]) => {
+    const strip = new THREE.Mesh(new THREE.PlaneGeometry(mapW * 2, 0.08), glowMat);
+    strip.position.set(x, 0.05, z);
+    strip.rotation.y = ry; strip.rotation.x = -Math.PI/2;
+    mapGroup.add(strip);
+  });
+
+  // Build map boxes (walls, crates, towers)
+  boxes.forEach(b => {
+    const isWall = b.wall;   // generated outer walls
+    const color  = isWall ? theme.wall : theme.box;
+
+    const make = b.shape === 'ramp' ? makeRamp : makeBox;
+    const mesh = make(b.w, b.h, b.d, color, dim(color), 0.3);
+    mesh.position.set(b.x, b.y, b.z);
+    mesh.rotation.y = (b.yaw || 0) * Math.PI / 180;   // yaw: degrees, counter-clockwise seen from above
+
+    // Glow edge on top of cover boxes
+    if (!isWall) {
+      const edgeGeo = new THREE.EdgesGeometry(mesh.geometry);
+      const edgeMat = new THREE.LineBasicMaterial({ color: theme.edge, transparent: true, opacity: 0.3 });
+      mesh.add(new THREE.LineSegments(edgeGeo, edgeMat));
+    }
+
+    mapGroup.add(mesh);
+    mapBoxMeshes.push({ mesh, box: b });
+  });
+
+  // Spawn point markers
+  spawns.forEach(sp => {
+    const marker = new THREE.Mesh(
+      new THREE.CylinderGeometry(1.2, 1.2, 0.04, 16),
+      new THREE.MeshBasicMaterial({ color: 0x00ff88, transparent:true, opacity: 0.25 })
+    );
+    marker.position.set(sp.x, 0.02, sp.z);
+    mapGroup.add(marker);
+  });
+
+  // CTF flag bases + flags (hidden until a CTF room's state says otherwise)
+  if (flagBases) {
+    for (const team in flagBases) {
+      const base  = flagBases[team];
+      const color = TEAM_COLORS[team];
+      const pad = new THREE.Mesh(
+        new THREE.CylinderGeometry(1.8, 1.8, 0.05, 24),
+        new THREE.MeshBasicMaterial({ color, transparent:true, opacity: 0.3 })
+      );
+      pad.position.set(base.x, 0.03, base.z);
+      pad.visible = false;
+      mapGroup.add(pad);
+
+      const flag = buildFlagMesh(color);
+      flag.position.set(base.x, 0, base.z);
+      flag.visible = false;
+      mapGroup.add(flag);
+      flagMeshes[team] = { flag, pad };
+    }
+  }
+
+  // King of the Hill zone ring + faint wall (hidden outside hill modes)
+  if (hillZone) {
+    hillMesh = new THREE.Group();
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(hillZone.r - 0.25, hillZone.r, 48),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent:true, opacity: 0.6, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.04;
+    const wall = new THREE.Mesh(
+      new THREE.CylinderGeometry(hillZone.r, hillZone.r, 3, 48, 1, true),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent:true, opacity: 0.06, side: THREE.DoubleSide, depthWrite: false })
+    );
+    wall.position.y = 1.5;
+    hillMesh.add(ring, wall);
+    hillMesh.position.set(hillZone.x, 0, hillZone.z);
+    hillMesh.userData = { ring, wall, zone: hillZone };
+    hillMesh.visible = false;
+    mapGroup.add(hillMesh);
+  }
+}
+
+/** Remove the current arena (before building the next one) */
+function clearMap() {
+  scene.remove(mapGroup);
+  mapGroup.traverse(obj => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) obj.material.dispose();
+  });
+  mapGroup = new THREE.Group();
+  scene.add(mapGroup);
+  mapBoxMeshes = [];
+  for (const team in flagMeshes) delete flagMeshes[team];
+  hillMesh = null;
+  mapId = null;
+  mapVersion = null;
+}
+
+/** Pole + glowing cloth for CTF flags */
+function buildFlagMesh(color) {
+  const g = new THREE.Group();
+  const pole = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.04, 0.04, 2.4, 6),
+    new THREE.MeshStandardMaterial({ color: 0xcccccc, metalness: 0.8, roughness: 0.3 })
+  );
+  pole.position.y = 1.2;
+  const cloth = makeBox(0.4, 0.25, 0.02, color, color, 0.6);
+  cloth.position.set(0.42, 2.1, 0);
+  g.add(pole, cloth);
+  return g;
+}
+
+// CTF flag meshes keyed by team: { flag, pad }
+const flagMeshes = {};
+
+let hillMesh = null;   // KOTH zone visual
@@ -2,24 +2,36 @@
  * CE Strike 3D - Game Server
  * ─────────────────────────────────────────────
  * Architecture:
- *   • 60Hz physics loop  — moves players, checks collisions
- *   • 20Hz broadcast     — sends compact state to all clients
- *   • Velocity-based input — client sends direction, server moves player
+ *   • Rooms               — each match has its own players, bullets and loops
+ *   • 60Hz physics loop  — moves players, checks collisions (per room)
+ *   • 20Hz broadcast     — sends compact state to everyone in the room
+ *   • Sequenced input     — client sends one numbered command per physics
+ *                           tick, server applies them in order and acks the
+ *                           last one in 'gs' so the client can replay the rest
+ *   • Hitscan + projectiles — each weapon either hits instantly or fires bullets
+ *   • Lag compensation    — shots hit targets where the shooter saw them
+ *   • Anti-cheat          — input sanity checks and a suspicion score that kicks
+ *   • Bots                — fill rooms with few humans, play through the same code paths
  *
  * HOW TO ADD MORE PLAYERS:
  *   Just open more browser tabs — each connection spawns a new player.
+ *   Players joining with the same room id share a match; a blank id
+ *   joins the default 'main' room.
  *
  * HOW TO ADD WEAPONS:
- *   Add entries to WEAPONS below, then handle in the 'shoot' event.
+ *   Weapons live on CHARACTERS below. `fire` picks the fire model:
+ *   'hitscan' (instant ray) or 'projectile' (bullet flying at BULLET_SPEED).
  *
- * HOW TO ADD MAP OBJECTS:
- *   Add to MAP_BOXES array — each box is { x,y,z, w,h,d }.
+ * HOW TO ADD MAPS:
+ *   Drop a JSON file into maps/ — see the MAPS section for the format.
  */
 
 const express = require('express');
 const http    = require('http');
 const { Server } = require('socket.io');
 const path    = require('path');
+const fs      = require('fs');
+const crypto  = require('crypto');
 
 const app    = express();
 const server = http.createServer(app);
@@ -38,15 +50,72 @@ app.use(express.static(path.join(__dirname, 'public')));
 const PHYSICS_HZ   = 60;
 const BROADCAST_HZ = 20;
 
-const MAP_W = 80;   // map half-extents (world units)
-const MAP_D = 80;
-
 const GRAVITY    = -28;
 const JUMP_FORCE =  10;
 const PLAYER_H   =  1.8;  // eye height
 const PLAYER_R   =  0.4;  // collision radius
+const PLAYER_TOP =  1.65; // top of the head (matches buildCharMesh on the client)
+const STEP_HEIGHT =  0.5; // highest ledge a player walks up onto
+
+const MAX_INPUT_QUEUE = 8;   // buffered input commands per player (~130ms); a longer backlog is caught up at once
+const INPUT_STALL_MS     = 100;  // no input for this long (plus 2× the player's jitter)...
+const INPUT_STALL_MAX_MS = 300;  // ...capped here, and an airborne player falls anyway
+
+// Hit volumes: stacked vertical cylinders above the player's feet, sized
+// after the head and body boxes of buildCharMesh. Damage per zone is
+// scaled by the weapon's `zoneMult` in CHARACTERS.
+const HIT_ZONES = [
+  { zone: 'head',  y0: 1.2, y1: PLAYER_TOP, r: 0.25 },
+  { zone: 'torso', y0: 0.5, y1: 1.2,        r: 0.4  },
+  { zone: 'legs',  y0: 0,   y1: 0.5,        r: 0.3  }
+];
 
 const WINS_REQUIRED = 15;
+const TEAM_SCORE_GOAL = 50;   // team kills needed to win Team Deathmatch
+const CAPTURE_GOAL    = 3;    // flag captures needed to win Capture the Flag
+
+const FLAG_PICKUP_R  = 1.8;    // touch radius for pickup / return / capture
+const FLAG_RETURN_MS = 20000;  // a dropped flag goes home on its own after this
+
+const HILL_SCORE_GOAL = 100;   // hill points (one per second held) needed to win KOTH
+const HILL_CAPTURE_MS = 3000;  // uncontested time needed to take the hill
+
+// Elimination rounds + economy
+const ROUNDS_TO_WIN     = 7;
+const BUY_PHASE_MS      = 10000;  // frozen at spawn, shop open
+const ROUND_TIME_MS     = 90000;  // live fighting time before the round times out
+const ROUND_END_MS      = 5000;   // pause between rounds
+const START_MONEY       = 800;
+const MAX_MONEY         = 16000;
+const KILL_REWARD       = 300;
+const ROUND_WIN_REWARD  = 3250;
+const ROUND_LOSS_REWARD = 1400;
+const ARMOR_ABSORB      = 0.5;    // share of incoming damage armor soaks up
+
+// Match flow: warmup → ready-up → countdown → live → (overtime)
+const MATCH_TIME_MIN = 10;       // default time limit in minutes (0 = none)
+const WARMUP_MS      = 60000;    // warmup auto-ends after this even if not everyone readied up
+const COUNTDOWN_MS   = 5000;     // frozen at spawn before the match goes live
+const OVERTIME_MS    = 120000;   // sudden death after a tied time limit; still tied = draw
+
+// Lag compensation: how far back (ms) hit checks may rewind targets.
+// Override with the LAG_COMP_MAX_MS env var; 0 turns rewinding off.
+const LAG_COMP_MAX_MS = Number(process.env.LAG_COMP_MAX_MS ?? 250);
+const CLIENT_INTERP_MS = 100;   // INTERP_DELAY_MS in client.js — how far behind clients draw others
+const LAG_COMP_SLACK_MS = 50;   // allowance on top of measured latency before a shot's time is clamped
+
+// Anti-cheat: limits a real client never crosses. Each violation adds its
+// SUSPICION weight to the player's score, which decays over time; reaching
+// SUSPICION_KICK disconnects them.
+const MAX_PITCH      = Math.PI / 2.2;  // same clamp as the client's mouse look
+const AIM_TOLERANCE  = 0.5;            // rad between a shot and the last reported view
+const MAX_TURN_RATE  = 60;             // rad/s of view change between two inputs
+const INPUT_RATE_MAX = PHYSICS_HZ * 1.5; // input commands per second before it counts as speeding up time
+const MOVE_SLACK     = 1;              // units a tick's movement may exceed its steps (collision push-out)
+const SUSPICION = { invalid: 5, aim: 2, turn: 1, flood: 3, teleport: 5 };
+const SUSPICION_DECAY = 1;             // points forgiven per second
+const SUSPICION_KICK  = 30;
+
 const RESPAWN_MS    = 3000;
 const BULLET_SPEED  = 40;
 const BULLET_MAX_DIST = 120;
@@ -56,176 +125,854 @@ const BULLET_MAX_DIST = 120;
 // TO ADD A CHARACTER: add a new entry here with a unique key.
 // ─────────────────────────────────────────────
 const CHARACTERS = {
-  Andree:  { color: 0x00e5ff, maxHp: 100, speed: 7,   damage: 22, reloadMs: 1200, maxAmmo: 12, fireRateMs: 150,  weapon: 'Assault Rifle' },
-  Chesney: { color: 0xff6b35, maxHp: 140, speed: 5.5, damage: 45, reloadMs: 2200, maxAmmo: 6,  fireRateMs: 600,  weapon: 'Shotgun'       },
-  Denver:  { color: 0xb5ff4d, maxHp: 80,  speed: 9,   damage: 15, reloadMs: 800,  maxAmmo: 20, fireRateMs: 80,   weapon: 'SMG'           },
-  Fischer: { color: 0xe040fb, maxHp: 90,  speed: 6,   damage: 70, reloadMs: 2500, maxAmmo: 5,  fireRateMs: 1000, weapon: 'Sniper'        },
-  Maybelle:{ color: 0xffeb3b, maxHp: 110, speed: 6.5, damage: 30, reloadMs: 1500, maxAmmo: 8,  fireRateMs: 400,  weapon: 'Revolver'      }
+  Andree:  { color: 0x00e5ff, maxHp: 100, speed: 7,   damage: 22, reloadMs: 1200, maxAmmo: 12, fireRateMs: 150,  weapon: 'Assault Rifle', fire: 'hitscan',
+             zoneMult: { head: 2,    torso: 1, legs: 0.75 } },
+  Chesney: { color: 0xff6b35, maxHp: 140, speed: 5.5, damage: 45, reloadMs: 2200, maxAmmo: 6,  fireRateMs: 600,  weapon: 'Shotgun',       fire: 'projectile',
+             zoneMult: { head: 1.5,  torso: 1, legs: 0.75 } },
+  Denver:  { color: 0xb5ff4d, maxHp: 80,  speed: 9,   damage: 15, reloadMs: 800,  maxAmmo: 20, fireRateMs: 80,   weapon: 'SMG',           fire: 'projectile',
+             zoneMult: { head: 1.75, torso: 1, legs: 0.8  } },
+  Fischer: { color: 0xe040fb, maxHp: 90,  speed: 6,   damage: 70, reloadMs: 2500, maxAmmo: 5,  fireRateMs: 1000, weapon: 'Sniper',        fire: 'hitscan',
+             zoneMult: { head: 2.5,  torso: 1, legs: 0.8  } },
+  Maybelle:{ color: 0xffeb3b, maxHp: 110, speed: 6.5, damage: 30, reloadMs: 1500, maxAmmo: 8,  fireRateMs: 400,  weapon: 'Revolver',      fire: 'projectile',
+             zoneMult: { head: 2.5,  torso: 1, legs: 0.75 } }
 };
 
 // ─────────────────────────────────────────────
-// MAP GEOMETRY
-// Used for bullet and player collision on the server.
-// TO ADD MAP OBJECTS: push to MAP_BOXES.
-// Each box: { x, y, z, w, h, d }  (world center + half-extents)
-// ─────────────────────────────────────────────
-const MAP_BOXES = [
-  // Outer walls (thin, just for bullet clipping)
-  { x: 0,    y: 3, z:  MAP_D,  w: MAP_W,  h: 6,  d: 1   },  // north wall
-  { x: 0,    y: 3, z: -MAP_D,  w: MAP_W,  h: 6,  d: 1   },  // south wall
-  { x:  MAP_W, y: 3, z: 0,     w: 1,      h: 6,  d: MAP_D }, // east wall
-  { x: -MAP_W, y: 3, z: 0,     w: 1,      h: 6,  d: MAP_D }, // west wall
-
-  // Center bunker
-  { x: 0,    y: 1,  z: 0,    w: 6,  h: 2,  d: 6  },
-
-  // Mid-left cover boxes
-  { x: -20,  y: 1,  z: 10,   w: 4,  h: 2,  d: 2  },
-  { x: -20,  y: 1,  z: -10,  w: 4,  h: 2,  d: 2  },
-  { x: -35,  y: 1.5,z: 0,    w: 2,  h: 3,  d: 8  },
-
-  // Mid-right cover boxes
-  { x: 20,   y: 1,  z: 10,   w: 4,  h: 2,  d: 2  },
-  { x: 20,   y: 1,  z: -10,  w: 4,  h: 2,  d: 2  },
-  { x: 35,   y: 1.5,z: 0,    w: 2,  h: 3,  d: 8  },
-
-  // Sniper towers
-  { x: -50,  y: 2,  z: -50,  w: 4,  h: 4,  d: 4  },
-  { x:  50,  y: 2,  z: -50,  w: 4,  h: 4,  d: 4  },
-  { x: -50,  y: 2,  z:  50,  w: 4,  h: 4,  d: 4  },
-  { x:  50,  y: 2,  z:  50,  w: 4,  h: 4,  d: 4  },
-
-  // Low walls across middle
-  { x: -10,  y: 0.75, z: -30, w: 3, h: 1.5, d: 10 },
-  { x:  10,  y: 0.75, z:  30, w: 3, h: 1.5, d: 10 },
-
-  // Ramp-style platforms
-  { x: -50,  y: 0.5, z: 0,   w: 6,  h: 1,  d: 12 },
-  { x:  50,  y: 0.5, z: 0,   w: 6,  h: 1,  d: 12 },
-];
+// SHOP  (Elimination buy phase)
+// Weapons take their stats from the character that normally carries them.
+// TO ADD AN ITEM: add an entry with a price and either `weapon` or `armor`.
+// ─────────────────────────────────────────────
+const SHOP = {
+  armor:    { label: 'Kevlar Vest',   price: 650,  armor: 100 },
+  revolver: { label: 'Revolver',      price: 500,  weapon: 'Revolver' },
+  shotgun:  { label: 'Shotgun',       price: 1200, weapon: 'Shotgun' },
+  smg:      { label: 'SMG',           price: 1500, weapon: 'SMG' },
+  rifle:    { label: 'Assault Rifle', price: 2700, weapon: 'Assault Rifle' },
+  sniper:   { label: 'Sniper',        price: 4750, weapon: 'Sniper' }
+};
 
-// Spawn points (x, z — y is always 0)
-const SPAWN_POINTS = [
-  { x: -60, z: -60 }, { x:  60, z: -60 },
-  { x: -60, z:  60 }, { x:  60, z:  60 },
-  { x:   0, z: -65 }, { x:   0, z:  65 },
-  { x: -65, z:   0 }, { x:  65, z:   0 },
-];
+// ─────────────────────────────────────────────
+// GAME MODES
+//   ffa — free-for-all, first player to the kill goal wins
+//   tdm — Team Deathmatch, two auto-balanced teams race to the team goal
+//   ctf — Capture the Flag, teams score by bringing the enemy flag home
+//   koth  — King of the Hill, each player scores by holding the map's hill zone
+//   tkoth — Team King of the Hill, same but teams hold the hill together
+//   elim  — Elimination, team rounds with no respawns and a buy phase
+// In objective modes kills earn nothing; the objective decides the match.
+// ─────────────────────────────────────────────
+const GAME_MODES      = ['ffa', 'tdm', 'ctf', 'koth', 'tkoth', 'elim'];
+const TEAM_MODES      = ['tdm', 'ctf', 'tkoth', 'elim'];
+const OBJECTIVE_MODES = ['ctf', 'koth', 'tkoth', 'elim'];
+const HILL_MODES      = ['koth', 'tkoth'];
+
+// Each team spawns on its own half of the map (side = sign of spawn z)
+const TEAMS = {
+  red:  { color: 0xff3b3b, side: -1 },
+  blue: { color: 0x3b8bff, side:  1 }
+};
+
+// Friendly fire in team modes: 'off' (bullets pass through teammates),
+// 'on' (full damage) or 'reduced' (damage scaled by FRIENDLY_FIRE_SCALE).
+// FRIENDLY_FIRE is the default for new rooms; rooms may override it.
+const FRIENDLY_FIRE_MODES = ['off', 'on', 'reduced'];
+const FRIENDLY_FIRE       = process.env.FRIENDLY_FIRE || 'off';
+const FRIENDLY_FIRE_SCALE = 0.35;
+
+// ─────────────────────────────────────────────
+// MAPS
+// Arenas are JSON files in maps/ (the file name is the map id), loaded and
+// validated once at startup. A file with mistakes is skipped and every
+// problem is printed; the server refuses to start without DEFAULT_MAP.
+// Each room plays on one map (room.map). Format 1:
+//   format     1
+//   name       shown in the lobby
+//   bounds     { w, d }  floor half-extents — the outer walls are generated
+//   theme      optional colors ("#rrggbb"): sky, fog, floor, grid, wall, box,
+//              edge, ambient, sun — plus fogDensity; missing keys use DEFAULT_THEME
+//   boxes      [{ x, y, z, w, h, d, yaw?, shape?, note? }]  world center +
+//              half-extents; yaw turns it (degrees), shape "ramp" makes a slope
+//   spawns     [{ x, z }]  y is always 0; each team needs one on its half
+//   flagBases  optional { red: { x, z }, blue: { x, z } } — enables ctf
+//   hillZone   optional { x, z, r } — enables koth and tkoth
+// TO ADD A MAP: drop a new file into maps/ and restart the server.
+// ─────────────────────────────────────────────
+const MAP_FORMAT    = 1;
+const MAPS_DIR      = path.join(__dirname, 'maps');
+const DEFAULT_MAP   = process.env.MAP || 'bunker';
+const MAP_ID        = /^[a-z0-9][a-z0-9_-]{0,31}$/;   // map ids are the file names
+const MAP_ID_RULE   = 'a-z, 0-9, "-" and "_" only, starting with a letter or digit (up to 32)';
+const MAP_MAX_HALF  = 250;    // largest bounds.w / bounds.d (keeps bot nav grids small)
+const MAP_MAX_BOXES = 1000;
+
+const DEFAULT_THEME = {
+  sky: '#060c1a', fog: '#080c18', fogDensity: 0.012,
+  floor: '#0c1020', grid: '#1a2040', wall: '#1a2040', box: '#1c2438',
+  edge: '#00e5ff', ambient: '#1a2040', sun: '#ffeedd'
+};
+
+const MAP_FIELDS = ['format', 'name', 'bounds', 'theme', 'boxes', 'spawns', 'flagBases', 'hillZone'];
+const BOX_FIELDS = ['x', 'y', 'z', 'w', 'h', 'd', 'yaw', 'shape', 'note'];
+const BOX_SHAPES = ['box', 'ramp'];   // ramp: wedge rising toward the box's local +z
+
+const maps = loadMaps();   // Map of id → buildMapData result
+
+/** Read every maps/*.json, keeping the ones that pass validateMap */
+function loadMaps() {
+  const loaded = new Map();
+  const files  = fs.readdirSync(MAPS_DIR).filter(f => f.endsWith('.json')).sort();
+  for (const file of files) {
+    const id = path.basename(file, '.json');
+    let errors, raw;
+    try {
+      raw    = JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8'));
+      errors = MAP_ID.test(id) ? validateMap(raw)
+             : [`file name must use ${MAP_ID_RULE}`];
+    } catch (err) {
+      errors = [`not valid JSON (${err.message})`];
+    }
+    if (errors.length) {
+      console.error(`  ✗ maps/${file} skipped:\n${errors.map(e => `      - ${e}`).join('\n')}`);
+      continue;
+    }
+    loaded.set(id, buildMapData(id, raw));
+  }
+  if (!loaded.has(DEFAULT_MAP)) {
+    throw new Error(`Default map "${DEFAULT_MAP}" is missing or invalid (expected maps/${DEFAULT_MAP}.json)`);
+  }
+  console.log(`  # Maps: ${[...loaded.keys()].join(', ')}`);
+  return loaded;
+}
+
+/** Everything wrong with a parsed map file, as readable messages (empty = valid) */
+function validateMap(m) {
+  const errors = [];
+  const isObj  = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+  const expect = (ok, msg) => { if (!ok) errors.push(msg); return ok; };
+  const unknown = (obj, where, fields) => {
+    for (const k in obj) expect(fields.includes(k), `${where}${k} is not a known field`);
+  };
+  // Numeric fields of one object; `positive` lists the ones that must be > 0
+  const numbers = (obj, where, keys, positive = []) => {
+    if (!expect(isObj(obj), `${where} must be an object`)) return false;
+    for (const k of keys) {
+      if (!Number.isFinite(obj[k])) errors.push(`${where}.${k} must be a number`);
+      else if (positive.includes(k) && obj[k] <= 0) errors.push(`${where}.${k} must be greater than 0`);
+    }
+    return true;
+  };
+  const inBounds = (pt, where) => {
+    const { w, d } = isObj(m.bounds) ? m.bounds : {};
+    if (!(w > 0 && d > 0 && Number.isFinite(w + d)) || !Number.isFinite(pt.x) || !Number.isFinite(pt.z)) return;
+    expect(Math.abs(pt.x) < w && Math.abs(pt.z) < d,
+      `${where} (${pt.x}, ${pt.z}) is outside bounds`);
+  };
+
+  if (!expect(isObj(m), 'file must contain a JSON object')) return errors;
+  if (m.format !== MAP_FORMAT) {
+    errors.push(`format must be ${MAP_FORMAT} (got ${JSON.stringify(m.format)})`);
+    return errors;
+  }
+  unknown(m, '', MAP_FIELDS);
+  expect(typeof m.name === 'string' && m.name.trim() !== '', 'name must be a non-empty string');
+  if (numbers(m.bounds, 'bounds', ['w', 'd'], ['w', 'd'])) {
+    for (const k of ['w', 'd']) expect(!(m.bounds[k] > MAP_MAX_HALF), `bounds.${k} must be at most ${MAP_MAX_HALF}`);
+  }
+
+  if (m.theme !== undefined && expect(isObj(m.theme), 'theme must be an object')) {
+    for (const k in m.theme) {
+      if (k === 'fogDensity') {
+        expect(Number.isFinite(m.theme[k]) && m.theme[k] >= 0, 'theme.fogDensity must be a number ≥ 0');
+      } else if (k in DEFAULT_THEME) {
+        expect(/^#[0-9a-f]{6}$/i.test(m.theme[k]), `theme.${k} must be a color like "#1a2040"`);
+      } else {
+        errors.push(`theme.${k} is not a known field`);
+      }
+    }
+  }
+
+  if (expect(Array.isArray(m.boxes), 'boxes must be an array') &&
+      expect(m.boxes.length <= MAP_MAX_BOXES, `boxes may hold at most ${MAP_MAX_BOXES} entries`)) {
+    m.boxes.forEach((b, i) => {
+      if (numbers(b, `boxes[${i}]`, ['x', 'y', 'z', 'w', 'h', 'd'], ['w', 'h', 'd'])) {
+        unknown(b, `boxes[${i}].`, BOX_FIELDS);
+        if (b.yaw !== undefined) expect(Number.isFinite(b.yaw), `boxes[${i}].yaw must be a number (degrees)`);
+        if (b.shape !== undefined) {
+          expect(BOX_SHAPES.includes(b.shape), `boxes[${i}].shape must be one of: ${BOX_SHAPES.join(', ')}`);
+        }
+      }
+    });
+  }
+
+  if (expect(Array.isArray(m.spawns) && m.spawns.length > 0, 'spawns must be a non-empty array')) {
+    m.spawns.forEach((sp, i) => {
+      if (numbers(sp, `spawns[${i}]`, ['x', 'z'])) inBounds(sp, `spawns[${i}]`);
+    });
+    for (const team in TEAMS) {
+      const side = TEAMS[team].side;
+      expect(m.spawns.some(sp => Math.sign(sp && sp.z) === side),
+        `spawns need at least one point on the ${team} half (z ${side < 0 ? '<' : '>'} 0)`);
+    }
+  }
+
+  if (m.flagBases !== undefined && expect(isObj(m.flagBases), 'flagBases must be an object')) {
+    for (const team in TEAMS) {
+      if (numbers(m.flagBases[team], `flagBases.${team}`, ['x', 'z'])) inBounds(m.flagBases[team], `flagBases.${team}`);
+    }
+  }
+  if (m.hillZone !== undefined && numbers(m.hillZone, 'hillZone', ['x', 'z', 'r'], ['r'])) {
+    inBounds(m.hillZone, 'hillZone');
+  }
+  return errors;
+}
+
+/**
+ * Runtime form of a validated map: outer walls added, theme filled in.
+ * `version` hashes the file's content, so clients can tell a map saved
+ * again under the same id from the copy they already built.
+ */
+function buildMapData(id, m) {
+  const { w, d } = m.bounds;
+  const walls = [
+    { x: 0,  y: 3, z:  d, w, h: 6, d: 1, wall: true },   // north
+    { x: 0,  y: 3, z: -d, w, h: 6, d: 1, wall: true },   // south
+    { x:  w, y: 3, z: 0,  w: 1, h: 6, d, wall: true },   // east
+    { x: -w, y: 3, z: 0,  w: 1, h: 6, d, wall: true }    // west
+  ];
+  return {
+    id,
+    version:   crypto.createHash('sha1').update(JSON.stringify(m)).digest('hex').substring(0, 12),
+    name:      m.name.trim(),
+    w, d,
+    theme:     { ...DEFAULT_THEME, ...m.theme },
+    boxes:     walls.concat(m.boxes.map(({ x, y, z, w, h, d, yaw, shape }) => ({
+      x, y, z, w, h, d,
+      ...(yaw % 360 ? { yaw } : {}),
+      ...(shape === 'ramp' ? { shape } : {})
+    }))),
+    spawns:    m.spawns.map(({ x, z }) => ({ x, z })),
+    flagBases: m.flagBases ? { red: { ...m.flagBases.red }, blue: { ...m.flagBases.blue } } : null,
+    hillZone:  m.hillZone ? { x: m.hillZone.x, z: m.hillZone.z, r: m.hillZone.r } : null,
+    nav:       null   // bot navigation grid, built on first use (navFor)
+  };
+}
+
+/** Modes a map has the objects for */
+function mapModes(map) {
+  return GAME_MODES.filter(mode =>
+    (mode !== 'ctf' || map.flagBases) && (!HILL_MODES.includes(mode) || map.hillZone));
+}
+
+/** What the client needs to build the arena — sent as 'map_data' */
+function mapPayload(map) {
+  const { id, version, name, w, d, theme, boxes, spawns, flagBases, hillZone } = map;
+  return { id, version, name, mapW: w, mapD: d, theme, boxes, spawns, flagBases, hillZone };
+}
+
+/** Lobby listing of playable maps */
+function mapList() {
+  return [...maps.values()].map(m => ({ id: m.id, name: m.name, modes: mapModes(m) }));
+}
 
 // ─────────────────────────────────────────────
-// GAME STATE
+// MAP EDITOR
+// /editor serves public/editor.html. It reads map files straight from
+// /maps/<id>.json. Saving is off unless MAP_EDITOR_SAVE=1: then POST
+// /api/maps/<id> validates the body like a file in maps/, writes it there
+// and makes it playable right away. Maps the server started with are
+// never overwritten — save edits to them under a new id. Each saved map
+// gets one private test room, and the reply carries its code: saving the
+// map again moves that room onto the new copy instead of opening another.
 // ─────────────────────────────────────────────
-let players  = {};
-let bullets  = {};
-let bulletId = 0;
-let gameOver = false;
-let winner   = null;
+const MAP_EDITOR_SAVE   = process.env.MAP_EDITOR_SAVE === '1';
+const LOCKED_MAPS       = new Set(maps.keys());   // the files loaded at startup
+const TEST_ROOM_IDLE_MS = 60000;                  // an unjoined test room closes after this
+const testRooms = new Map();                      // map id → its test room
+
+app.get('/editor', (req, res) => res.sendFile(path.join(__dirname, 'public', 'editor.html')));
+app.use('/maps', express.static(MAPS_DIR));
+
+app.get('/api/maps', (req, res) => res.json({ maps: mapList(), canSave: MAP_EDITOR_SAVE }));
+
+app.post('/api/maps/:id', express.json({ limit: '256kb' }), (req, res) => {
+  const id = req.params.id;
+  if (!MAP_EDITOR_SAVE) return res.status(403).json({ errors: ['saving is turned off on this server (MAP_EDITOR_SAVE=1 turns it on)'] });
+  if (LOCKED_MAPS.has(id)) return res.status(403).json({ errors: [`"${id}" was loaded at startup and is read-only — save under a new id`] });
+  const errors = MAP_ID.test(id) ? validateMap(req.body) : [`map id must use ${MAP_ID_RULE}`];
+  if (errors.length) return res.status(400).json({ errors });
+
+  fs.writeFile(path.join(MAPS_DIR, `${id}.json`), mapFileText(req.body), err => {
+    if (err) {
+      console.error(`  ✗ Saving maps/${id}.json failed: ${err.message}`);
+      return res.status(500).json({ errors: ['could not write the map file'] });
+    }
+    // Other rooms already on this map keep the old copy until they next change map
+    maps.set(id, buildMapData(id, req.body));
+    io.to(LOBBY_CHANNEL).emit('map_list', mapList());
+    console.log(`  # Map saved: ${id}`);
+    res.json({ id, room: testRoomFor(id).id });
+  });
+});
+
+/**
+ * The private test room for map `id`: opened on the first save, moved onto
+ * the new copy (back in warmup) on later ones. Closed again if it's empty
+ * TEST_ROOM_IDLE_MS after the latest save.
+ */
+function testRoomFor(id) {
+  let room = testRooms.get(id);
+  if (room && rooms[room.id] === room) {
+    const modes = mapModes(maps.get(id));
+    playNext(room, { map: id, mode: modes.includes(room.settings.mode) ? room.settings.mode : modes[0] });
+  } else {
+    room = createRoom(generateRoomCode(), { isPrivate: true, settings: { map: id } });
+    testRooms.set(id, room);
+  }
+  clearTimeout(room.idleTimer);
+  room.idleTimer = setTimeout(() => {
+    if (rooms[room.id] === room && playerCount(room) === 0) destroyRoom(room);
+  }, TEST_ROOM_IDLE_MS);
+  return room;
+}
+
+/** Pretty JSON with every flat object (box, spawn, point) on one line, like the hand-written files */
+function mapFileText(m) {
+  return JSON.stringify(m, null, 2).replace(/\{\n\s+([^{}[\]]*?)\n\s+\}/g,
+    (_, body) => `{ ${body.split(/,\n\s+/).join(', ')} }`) + '\n';
+}
 
 // ─────────────────────────────────────────────
 // HELPERS
 // ─────────────────────────────────────────────
-function randomSpawn() {
-  return SPAWN_POINTS[Math.floor(Math.random() * SPAWN_POINTS.length)];
+function randomSpawn(room) {
+  const spawns = room.map.spawns;
+  return spawns[Math.floor(Math.random() * spawns.length)];
+}
+
+function isTeamMode(room) {
+  return TEAM_MODES.includes(room.settings.mode);
+}
+
+/** Random spawn on the player's team side, or anywhere outside team modes */
+function spawnFor(room, p) {
+  if (!isTeamMode(room) || !p.team) return randomSpawn(room);
+  const side = room.map.spawns.filter(sp => Math.sign(sp.z) === TEAMS[p.team].side);
+  return side[Math.floor(Math.random() * side.length)];
+}
+
+// Boxes may be turned by `yaw` (degrees, counter-clockwise seen from above)
+// and may be ramps: a wedge filling the box that rises from its bottom at
+// local -z to its top at local +z. Collision works in the box's own axes.
+
+/** A world-space XZ direction in the box's own axes */
+function boxLocalDir(box, x, z) {
+  if (!box.yaw) return { lx: x, lz: z };
+  const a = box.yaw * Math.PI / 180, c = Math.cos(a), s = Math.sin(a);
+  return { lx: x * c - z * s, lz: x * s + z * c };
+}
+
+/** A world-space point in the box's own axes, relative to its center */
+function boxLocal(box, x, z) {
+  return boxLocalDir(box, x - box.x, z - box.z);
 }
 
-// AABB vs point (for bullet hit on boxes)
+/** Back from the box's axes to a world-space XZ direction */
+function boxWorldDir(box, lx, lz) {
+  if (!box.yaw) return { x: lx, z: lz };
+  const a = box.yaw * Math.PI / 180, c = Math.cos(a), s = Math.sin(a);
+  return { x: lx * c + lz * s, z: -lx * s + lz * c };
+}
+
+/** Height of the box's top at local z — flat for boxes, sloped for ramps */
+function boxTop(box, lz) {
+  if (box.shape !== 'ramp') return box.y + box.h;
+  return box.y + box.h * Math.max(-1, Math.min(1, lz / box.d));
+}
+
+// Point inside a box (for bullet hit on boxes)
 function pointInBox(px, py, pz, box) {
-  return Math.abs(px - box.x) <= box.w &&
-         Math.abs(py - box.y) <= box.h &&
-         Math.abs(pz - box.z) <= box.d;
+  const { lx, lz } = boxLocal(box, px, pz);
+  return Math.abs(lx) <= box.w && Math.abs(lz) <= box.d &&
+         py >= box.y - box.h && py <= boxTop(box, lz);
 }
 
-// Simple ray-AABB intersection (slab method) for bullet travel
+// Simple ray-box intersection (slab method) for bullet travel
 function rayHitsBox(ox, oy, oz, dx, dy, dz, box, maxDist) {
-  const bx = box.x, by = box.y, bz = box.z;
-  const bw = box.w, bh = box.h, bd = box.d;
+  return rayBoxDistance(ox, oy, oz, dx, dy, dz, box, maxDist) !== Infinity;
+}
+
+/** Distance along a normalized ray to where it enters `box`, or Infinity if it misses within maxDist */
+function rayBoxDistance(ox, oy, oz, dx, dy, dz, box, maxDist) {
+  // Slabs in the box's own axes, relative to its center
+  const o = boxLocal(box, ox, oz), dir = boxLocalDir(box, dx, dz);
+  const oy0 = oy - box.y;
   let tmin = 0, tmax = maxDist;
-  for (const [o, d, b, e] of [[ox,dx,bx,bw],[oy,dy,by,bh],[oz,dz,bz,bd]]) {
+  for (const [o0, d, e] of [[o.lx, dir.lx, box.w], [oy0, dy, box.h], [o.lz, dir.lz, box.d]]) {
     if (Math.abs(d) < 1e-8) {
-      if (Math.abs(o - b) > e) return false;
+      if (Math.abs(o0) > e) return Infinity;
     } else {
-      const t1 = (b - e - o) / d, t2 = (b + e - o) / d;
+      const t1 = (-e - o0) / d, t2 = (e - o0) / d;
       tmin = Math.max(tmin, Math.min(t1, t2));
       tmax = Math.min(tmax, Math.max(t1, t2));
-      if (tmin > tmax) return false;
+      if (tmin > tmax) return Infinity;
+    }
+  }
+  // Ramps: also below the slope, y ≤ (h / d)·z in local terms
+  if (box.shape === 'ramp') {
+    const k = box.h / box.d;
+    const above = oy0 - k * o.lz, rate = dy - k * dir.lz;
+    if (Math.abs(rate) < 1e-8) {
+      if (above > 0) return Infinity;
+    } else if (rate > 0) {
+      tmax = Math.min(tmax, -above / rate);
+    } else {
+      tmin = Math.max(tmin, -above / rate);
+    }
+    if (tmin > tmax) return Infinity;
+  }
+  return tmin;
+}
+
+/**
+ * Distance along a normalized ray to a vertical cylinder on (cx, cz)
+ * spanning y0..y1, or Infinity on a miss. A ray starting inside hits at 0.
+ */
+function rayCylinderDistance(ox, oy, oz, dx, dy, dz, cx, cz, y0, y1, r) {
+  const fx = ox - cx, fz = oz - cz;
+  if (fx * fx + fz * fz <= r * r && oy >= y0 && oy <= y1) return 0;
+
+  let best = Infinity;
+  // Side wall
+  const a = dx * dx + dz * dz;
+  if (a > 1e-8) {
+    const b = fx * dx + fz * dz;
+    const c = fx * fx + fz * fz - r * r;
+    const disc = b * b - a * c;
+    if (disc >= 0) {
+      const t = (-b - Math.sqrt(disc)) / a;
+      const y = oy + dy * t;
+      if (t >= 0 && y >= y0 && y <= y1) best = t;
     }
   }
-  return tmax >= tmin;
+  // Top and bottom caps
+  if (Math.abs(dy) > 1e-8) {
+    for (const cy of [y0, y1]) {
+      const t = (cy - oy) / dy;
+      if (t < 0 || t >= best) continue;
+      const hx = fx + dx * t, hz = fz + dz * t;
+      if (hx * hx + hz * hz <= r * r) best = t;
+    }
+  }
+  return best;
+}
+
+/**
+ * First hit zone a normalized ray meets on a player standing at `pos`
+ * within maxDist, as { zone, t } — or null on a miss.
+ */
+function rayHitZone(ox, oy, oz, dx, dy, dz, pos, maxDist) {
+  let hit = null;
+  for (const z of HIT_ZONES) {
+    const t = rayCylinderDistance(ox, oy, oz, dx, dy, dz, pos.x, pos.z, pos.y + z.y0, pos.y + z.y1, z.r);
+    if (t <= maxDist && (!hit || t < hit.t)) hit = { zone: z.zone, t };
+  }
+  return hit;
 }
 
-// Cylinder-AABB collision (XZ plane only, for player movement)
+// Cylinder-box collision (XZ plane in the box's axes, for player movement)
 function playerCollidesBox(px, py, pz, box) {
+  const { lx, lz } = boxLocal(box, px, pz);
   // Only collide if player vertically overlaps box
-  if (py + PLAYER_H < box.y - box.h || py > box.y + box.h) return false;
-  const cx = Math.max(box.x - box.w, Math.min(px, box.x + box.w));
-  const cz = Math.max(box.z - box.d, Math.min(pz, box.z + box.d));
-  const dx = px - cx, dz = pz - cz;
+  if (py + PLAYER_H < box.y - box.h || py > boxTop(box, lz)) return false;
+  const cx = Math.max(-box.w, Math.min(lx, box.w));
+  const cz = Math.max(-box.d, Math.min(lz, box.d));
+  const dx = lx - cx, dz = lz - cz;
   return dx * dx + dz * dz < PLAYER_R * PLAYER_R;
 }
 
-function resolvePlayerCollisions(p) {
-  for (const box of MAP_BOXES) {
-    if (!playerCollidesBox(p.x, p.y, p.z, box)) continue;
+/**
+ * Push a player out of the boxes they overlap, or lift them onto ones low
+ * enough to step on. `grounded` (standing at the start of the tick) keeps
+ * players walking down a ramp on it instead of bouncing off in the air.
+ */
+function resolvePlayerCollisions(room, p, grounded) {
+  for (const box of room.map.boxes) {
+    const { lx, lz } = boxLocal(box, p.x, p.z);
+    const top  = boxTop(box, lz);
+    const ramp = box.shape === 'ramp';
 
-    // Check if player can step on top
-    if (p.y < box.y + box.h && p.vy <= 0) {
-      p.y = box.y + box.h;
+    // Walking down a ramp: stay on its surface
+    if (ramp && grounded && p.vy <= 0 && p.y > top && p.y - top <= STEP_HEIGHT &&
+        Math.abs(lx) <= box.w && Math.abs(lz) <= box.d) {
+      p.y = top;
       p.vy = 0; p.onGround = true;
       continue;
     }
+    if (!playerCollidesBox(p.x, p.y, p.z, box)) continue;
 
-    // Push out horizontally
-    const dx = p.x - box.x, dz = p.z - box.z;
-    const overlapX = box.w + PLAYER_R - Math.abs(dx);
-    const overlapZ = box.d + PLAYER_R - Math.abs(dz);
-    if (overlapX < overlapZ) {
-      p.x += overlapX * Math.sign(dx);
-      p.vx = 0;
-    } else {
-      p.z += overlapZ * Math.sign(dz);
-      p.vz = 0;
+    // Step up onto low boxes (or land on a box from above); ramps lift
+    // anyone walking up them, even mid-jump
+    if (top - p.y <= STEP_HEIGHT && (p.vy <= 0 || ramp)) {
+      p.y = top;
+      if (p.vy <= 0) { p.vy = 0; p.onGround = true; }
+      continue;
+    }
+
+    // Push out horizontally, along the box's nearest side
+    const overlapX = box.w + PLAYER_R - Math.abs(lx);
+    const overlapZ = box.d + PLAYER_R - Math.abs(lz);
+    const push = overlapX < overlapZ
+      ? boxWorldDir(box, overlapX * Math.sign(lx), 0)
+      : boxWorldDir(box, 0, overlapZ * Math.sign(lz));
+    p.x += push.x;
+    p.z += push.z;
+    // Stop the velocity into that side
+    const len = Math.hypot(push.x, push.z);
+    if (len > 0) {
+      const nx = push.x / len, nz = push.z / len, vn = p.vx * nx + p.vz * nz;
+      p.vx -= vn * nx;
+      p.vz -= vn * nz;
+    }
+  }
+}
+
+// ─────────────────────────────────────────────
+// ROOMS
+// Every match lives in its own room: players, bullets, win state,
+// physics tick and broadcast are all per-room. Sockets in a room
+// receive its events through the Socket.io channel `room.channel`.
+// Sockets that haven't joined yet sit in LOBBY_CHANNEL and get the
+// open-room listing pushed to them whenever it changes.
+//
+// Private rooms are created with 'create_room', get a random short
+// code as their id, may carry a password, and never appear in the
+// listing — you need the code to get in.
+// ─────────────────────────────────────────────
+const DEFAULT_ROOM     = 'main';   // always open, never destroyed
+const MAX_ROOM_PLAYERS = 16;
+const LOBBY_CHANNEL    = 'lobby';
+
+const ROOM_CODE_LEN   = 6;
+const ROOM_CODE_CHARS = 'abcdefghjkmnpqrstuvwxyz23456789';   // no 0/o, 1/i/l lookalikes
+const MAX_PASSWORD_LEN = 32;
+// What a missing socket.data.roomId stringifies to as a key — never a room
+const RESERVED_ROOM_IDS = ['null', 'undefined'];
+
+// Reconnecting: a player whose connection drops keeps their slot (kills,
+// position, weapon...) this long; the client resumes it with its session token
+const RECONNECT_GRACE_MS = 30000;
+const GRACE_REASONS = ['transport close', 'transport error', 'ping timeout'];   // socket.io disconnect reasons
+
+// Player names: letters, digits, space and _ . - only; unique per room
+const NAME_MAX_LEN   = 16;
+const DEFAULT_NAME   = 'Soldier';
+const RESERVED_NAMES = ['server', 'system', 'admin', 'moderator', 'console', 'anticheat'];
+
+// Keyed by ids and tokens straight from clients, so no prototype: a room
+// called "constructor" or "__proto__" must not find Object's members
+const rooms = Object.create(null);
+const sessions = Object.create(null);   // session token → { roomId, playerId }
+
+/** Lowercase, strip anything but [a-z0-9_-] and cap at 20 chars. Reserved ids become ''. */
+function sanitizeRoomId(id) {
+  if (typeof id !== 'string') return '';
+  id = id.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').substring(0, 20);
+  return RESERVED_ROOM_IDS.includes(id) ? '' : id;
+}
+
+/**
+ * Clean a requested player name: strip disallowed characters, collapse
+ * spaces, trim, cap at NAME_MAX_LEN. Empty or reserved names become
+ * DEFAULT_NAME, and a name already taken in `room` (ignoring case) gets
+ * a number suffix: "Soldier", "Soldier 2", "Soldier 3"...
+ */
+function normalizeName(room, name) {
+  let base = (typeof name === 'string' ? name : '')
+    .replace(/[^A-Za-z0-9 _.-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, NAME_MAX_LEN)
+    .trim();
+  if (!base || RESERVED_NAMES.includes(base.toLowerCase())) base = DEFAULT_NAME;
+
+  const taken = new Set(Object.values(room.players).map(p => p.name.toLowerCase()));
+  let result = base;
+  for (let n = 2; taken.has(result.toLowerCase()); n++) {
+    const suffix = ` ${n}`;
+    result = base.substring(0, NAME_MAX_LEN - suffix.length).trim() + suffix;
+  }
+  return result;
+}
+
+/** Random unused private room code */
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LEN; i++) {
+      code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
     }
+  } while (rooms[code]);
+  return code;
+}
+
+/** Clamp client-requested room settings to sane values (modes the map can't host fall back to ffa) */
+function roomSettings({ map, mode, killGoal, teamGoal, captureGoal, hillGoal, roundsToWin, timeLimit, maxPlayers, friendlyFire } = {}) {
+  const int = (v, min, max, def) =>
+    Number.isFinite(v) ? Math.max(min, Math.min(max, Math.round(v))) : def;
+  const pick = (v, list, def) => list.includes(v) ? v : def;
+  map = pick(map, [...maps.keys()], DEFAULT_MAP);
+  return {
+    map,
+    mode:         pick(mode, mapModes(maps.get(map)), 'ffa'),
+    killGoal:     int(killGoal,   1, 100,              WINS_REQUIRED),
+    teamGoal:     int(teamGoal,   1, 500,              TEAM_SCORE_GOAL),
+    captureGoal:  int(captureGoal, 1, 20,              CAPTURE_GOAL),
+    hillGoal:     int(hillGoal,   10, 1000,            HILL_SCORE_GOAL),
+    roundsToWin:  int(roundsToWin, 1, 15,              ROUNDS_TO_WIN),
+    timeLimit:    int(timeLimit,  0, 60,               MATCH_TIME_MIN),   // minutes, 0 = none
+    maxPlayers:   int(maxPlayers, 2, MAX_ROOM_PLAYERS, MAX_ROOM_PLAYERS),
+    friendlyFire: pick(friendlyFire, FRIENDLY_FIRE_MODES, FRIENDLY_FIRE)
+  };
+}
+
+/** Team with fewer players (ties go to red) — used to auto-balance joins */
+function smallerTeam(room) {
+  const count = { red: 0, blue: 0 };
+  for (const id in room.players) {
+    const t = room.players[id].team;
+    if (t) count[t]++;
+  }
+  return count.blue < count.red ? 'blue' : 'red';
+}
+
+function createRoom(id, { isPrivate = false, password = '', settings = {} } = {}) {
+  settings = roomSettings(settings);
+  const room = {
+    id,
+    channel:  `room:${id}`,
+    isPrivate,
+    password,
+    settings,
+    map:      maps.get(settings.map),
+    players:  {},
+    bullets:  {},
+    bulletId: 0,
+    teamScores: { red: 0, blue: 0 },
+    flags:    createFlags(maps.get(settings.map)),
+    hill:     createHill(),
+    round:    createRound(),
+    match:    createMatch(),
+    history:  [],   // recent player positions for lag compensation
+    tick:     0,    // physics steps run so far
+    rosterJson: null,       // last 'roster' / 'gs_meta' sent, to skip repeats
+    metaJson:   null,
+    gameOver: false,
+    winner:   null,
+    vote:     null,   // end-of-match map vote (see startVote)
+    rotationAt: -1    // index into MAP_ROTATION, -1 until first looked up
+  };
+  room.physicsTimer   = setInterval(() => stepPhysics(room),    1000 / PHYSICS_HZ);
+  room.broadcastTimer = setInterval(() => broadcastState(room), 1000 / BROADCAST_HZ);
+  rooms[id] = room;
+  console.log(`  # Room created: ${id}${isPrivate ? ' (private)' : ''}`);
+  return room;
+}
+
+function destroyRoom(room) {
+  cancelVote(room);
+  clearInterval(room.physicsTimer);
+  clearInterval(room.broadcastTimer);
+  delete rooms[room.id];
+  console.log(`  # Room closed: ${room.id}`);
+}
+
+function playerCount(room) {
+  return Object.keys(room.players).length;
+}
+
+/** Public listing shown in the lobby — private rooms are left out */
+function roomList() {
+  return Object.values(rooms).filter(r => !r.isPrivate).map(r => ({
+    id: r.id,
+    players: humanCount(r),
+    maxPlayers: r.settings.maxPlayers,
+    map: r.map.name,
+    mode: r.settings.mode,
+    killGoal: r.settings.killGoal,
+    phase: r.match.phase,
+    gameOver: r.gameOver
+  }));
+}
+
+function broadcastRoomList() {
+  io.to(LOBBY_CHANNEL).emit('room_list', roomList());
+}
+
+function socketRoom(socket) {
+  const id = socket.data.roomId;
+  return (id && rooms[id]) || null;
+}
+
+/** Take a socket out of its room and drop its player for good */
+function leaveRoom(socket) {
+  const room = socketRoom(socket);
+  if (!room) return;
+  socket.leave(room.channel);
+  if (socket.data.playerId !== socket.id) socket.leave(socket.data.playerId);   // resumed player's channel
+  socket.data.roomId = null;
+  removePlayer(room, socket.data.playerId);
+}
+
+/** Delete a player and their session, closing the room if it's now empty */
+function removePlayer(room, id) {
+  const p = room.players[id];
+  if (!p) return;
+  clearTimeout(p.dropTimer);
+  delete sessions[p.session];
+  dropFlag(room, id);
+  delete room.players[id];
+  io.to(room.channel).emit('player_left', { name: p.name });
+  if (p.bot) return;
+  fillBots(room);   // bots fill the gap, or leave with the last human
+  if (playerCount(room) === 0) {
+    if (room.id === DEFAULT_ROOM) startWarmup(room);   // fresh match for whoever comes next
+    else destroyRoom(room);
   }
+  broadcastRoomList();
+}
+
+/**
+ * The socket's connection dropped: keep its player in the room for
+ * RECONNECT_GRACE_MS, standing still, in case the client resumes.
+ */
+function holdPlayer(socket) {
+  const room = socketRoom(socket);
+  const p = room && room.players[socket.data.playerId];
+  if (!p) return false;
+  p.connected = false;
+  p.inputs = [];
+  p.vx = 0; p.vz = 0;
+  p.dropTimer = setTimeout(() => removePlayer(room, p.id), RECONNECT_GRACE_MS);
+  return true;
+}
+
+/**
+ * Attach a new socket to the player held under `token`. The player keeps
+ * its id: the socket joins a channel named after it, so everything sent
+ * with io.to(playerId) reaches the new connection.
+ *
+ * A quick reconnect (a phone switching networks) often arrives before
+ * socket.io's ping timeout has noticed the old connection is gone, so the
+ * player may still look connected: the token proves it's the same client,
+ * and the new socket takes over — the stale one is detached and closed.
+ */
+function resumePlayer(socket, token) {
+  const session = sessions[token];
+  const room = session && rooms[session.roomId];
+  const p = room && room.players[session.playerId];
+  if (!p) return false;
+  if (p.connected) takeOverSocket(p, room);
+
+  clearTimeout(p.dropTimer);
+  p.connected = true;
+  p.net = socket.data.net;
+  p.socketId = socket.id;
+  p.lastSeq = 0;               // a fresh client counts input from 1 again
+  p.inputs = [];
+  p.extrapolated = 0;
+  p.snapshots.clear();
+  p.snapshotAck = 0;
+  socket.leave(LOBBY_CHANNEL);
+  socket.join(room.channel);
+  socket.join(p.id);
+  socket.data.roomId   = room.id;
+  socket.data.playerId = p.id;
+  room.rosterJson = null;      // the client starts from an empty roster
+  room.metaJson   = null;
+
+  console.log(`  > ${p.name} resumed in ${room.id}`);
+  sendJoined(socket, room, p, true);
+  return true;
+}
+
+/** Detach and close the socket still bound to `p`, without it leaving the room */
+function takeOverSocket(p, room) {
+  const old = io.sockets.sockets.get(p.socketId);
+  if (!old) return;
+  old.leave(room.channel);
+  old.leave(p.id);
+  old.data.roomId = null;   // its 'disconnect' then finds no room to leave or hold
+  old.disconnect(true);
+  console.log(`  > ${p.name}: replacing a stale connection`);
 }
 
+createRoom(DEFAULT_ROOM);
+
 // ─────────────────────────────────────────────
-// PHYSICS LOOP — 60Hz
+// PHYSICS LOOP — 60Hz per room
 // ─────────────────────────────────────────────
 const dt = 1 / PHYSICS_HZ;
 
-setInterval(() => {
-  if (gameOver) return;
+function stepPhysics(room) {
+  if (room.gameOver) return;
+  const { players, bullets } = room;
+  room.tick++;
+
+  updateBots(room, Date.now());
 
   // ── Move players ──
+  // One buffered input command per player per tick. A player with no
+  // command waiting doesn't advance this tick — the client already
+  // predicted that step and will send it, so skipping keeps both in sync.
+  // A backlog past MAX_INPUT_QUEUE (a burst after a network hiccup) is
+  // worked off in this tick: every command the client predicted gets
+  // applied, so none is lost.
+  //
+  // Once input has stalled for longer than jitter explains (see
+  // inputStallTicks), a player in the air falls with no steering instead:
+  // held players, background tabs and clients that stop sending mid-jump
+  // can't hang there. Those extrapolated ticks stand in for the commands
+  // that were late, so when they arrive they only update look and ack,
+  // and the player ends up the same number of steps along as the client.
   for (const id in players) {
     const p = players[id];
     if (!p.alive) continue;
+    while (p.extrapolated > 0 && p.inputs.length) {
+      applyInput(room, p, p.inputs.shift());
+      p.extrapolated--;
+    }
+    const from = { x: p.x, y: p.y, z: p.z };
+    let steps = 0;
+    if (p.inputs.length) {
+      p.stalledTicks = 0;
+      do {
+        applyInput(room, p, p.inputs.shift());
+        movePlayer(room, p);
+        steps++;
+      } while (p.inputs.length > MAX_INPUT_QUEUE);
+    } else if (++p.stalledTicks > inputStallTicks(p) && !p.onGround) {
+      p.vx = 0; p.vz = 0;
+      movePlayer(room, p);
+      p.extrapolated++;
+      steps++;
+    }
+    if (steps) checkMovement(p, from, steps);
+  }
 
-    // Apply input velocity (horizontal only, client sends normalized direction)
-    const spd = p.speed;
-    // vx/vz are from client input (already normalized * speed applied server-side)
-    p.x += p.vx * dt;
-    p.z += p.vz * dt;
-
-    // Gravity
-    p.vy += GRAVITY * dt;
-    p.y  += p.vy * dt;
-
-    // Floor
-    p.onGround = false;
-    if (p.y <= 0) { p.y = 0; p.vy = 0; p.onGround = true; }
-
-    // Map boundary clamp
-    p.x = Math.max(-MAP_W + PLAYER_R, Math.min(MAP_W - PLAYER_R, p.x));
-    p.z = Math.max(-MAP_D + PLAYER_R, Math.min(MAP_D - PLAYER_R, p.z));
+  recordHistory(room);
+  updateMatch(room);
+  if (room.gameOver) return;
 
-    // Box collisions
-    resolvePlayerCollisions(p);
-  }
+  if (room.settings.mode === 'ctf') updateFlags(room);
+  if (HILL_MODES.includes(room.settings.mode)) updateHill(room);
+  if (room.settings.mode === 'elim' && isScoring(room)) updateRound(room);
 
   // ── Update bullets ──
+  const step = BULLET_SPEED * dt;
   for (const id in bullets) {
     const b = bullets[id];
+    const ox = b.x, oy = b.y, oz = b.z;   // where this tick's travel starts
     b.x += b.dx * BULLET_SPEED * dt;
     b.y += b.dy * BULLET_SPEED * dt;
     b.z += b.dz * BULLET_SPEED * dt;
@@ -233,249 +980,2075 @@ setInterval(() => {
 
     // Out of bounds or max distance
     if (b.dist > BULLET_MAX_DIST ||
-        Math.abs(b.x) > MAP_W + 5 || Math.abs(b.z) > MAP_D + 5 || b.y < -2 || b.y > 30) {
+        Math.abs(b.x) > room.map.w + 5 || Math.abs(b.z) > room.map.d + 5 || b.y < -2 || b.y > 30) {
       delete bullets[id]; continue;
     }
 
     // Hit a map box
     let hitBox = false;
-    for (const box of MAP_BOXES) {
+    for (const box of room.map.boxes) {
       if (pointInBox(b.x, b.y, b.z, box)) { hitBox = true; break; }
     }
     if (hitBox) { delete bullets[id]; continue; }
 
-    // Hit a player
-    let hitPlayer = false;
+    // Hit a player — this tick's travel against the hit zones of each
+    // target where the shooter saw them, nearest first
+    const viewTime = Date.now() - b.rewindMs;
+    const hits = [];
     for (const pid in players) {
       const p = players[pid];
       if (pid === b.ownerId || !p.alive) continue;
-      const dx = p.x - b.x, dy = (p.y + PLAYER_H / 2) - b.y, dz = p.z - b.z;
-      if (dx*dx + dy*dy + dz*dz < 0.8 * 0.8) {
-        // Hit!
-        p.health -= b.damage;
-        io.to(pid).emit('hit', { health: Math.max(0, p.health) });
-        hitPlayer = true;
-
-        if (p.health <= 0) {
-          p.health = 0; p.alive = false;
-          const shooter = players[b.ownerId];
-          if (shooter) {
-            shooter.kills++;
-            io.emit('kill_feed', {
-              killer: shooter.name, victim: p.name,
-              killerChar: shooter.character
-            });
-            if (shooter.kills >= WINS_REQUIRED) {
-              gameOver = true; winner = shooter.name;
-              io.emit('game_over', { winner: shooter.name, character: shooter.character });
-            }
-          }
-          const deadId = pid;
-          setTimeout(() => {
-            if (!players[deadId]) return;
-            const sp = randomSpawn();
-            Object.assign(players[deadId], {
-              x: sp.x, y: 0, z: sp.z,
-              vx: 0, vy: 0, vz: 0,
-              health: players[deadId].maxHp,
-              alive: true, ammo: players[deadId].maxAmmo
-            });
-            io.emit('respawn', { id: deadId });
-          }, RESPAWN_MS);
-        }
-        delete bullets[id]; break;
-      }
+      const seen = positionAt(room, pid, viewTime);
+      if (!seen.alive) continue;
+      const hit = rayHitZone(ox, oy, oz, b.dx, b.dy, b.dz, seen, step);
+      if (hit) hits.push({ id: pid, ...hit });
+    }
+    hits.sort((a, c) => a.t - c.t);
+    for (const hit of hits) {
+      // Teammates with friendly fire off don't stop the bullet
+      const amount = b.damage * (b.zoneMult[hit.zone] ?? 1);
+      if (!damagePlayer(room, hit.id, b.ownerId, amount, hit.zone)) continue;
+      delete bullets[id]; break;
     }
-    if (hitPlayer) continue;
   }
-
-}, 1000 / PHYSICS_HZ);
+}
 
 // ─────────────────────────────────────────────
-// BROADCAST LOOP — 20Hz  (compact state)
+// MOVEMENT
+// The client runs exactly these two steps for its own prediction
+// (stepLocalPlayer in client.js) — keep them in sync.
 // ─────────────────────────────────────────────
-setInterval(() => {
-  if (gameOver) return;
 
-  // Pack players into compact arrays to minimize payload
-  const pArr = Object.values(players).map(p => ({
-    id: p.id,
-    x: +p.x.toFixed(2), y: +p.y.toFixed(2), z: +p.z.toFixed(2),
-    yaw: +p.yaw.toFixed(3),     // horizontal look direction
-    pitch: +p.pitch.toFixed(3), // vertical look (for other player models)
-    hp: p.health | 0,
-    maxHp: p.maxHp,
-    alive: p.alive,
-    kills: p.kills,
-    ammo: p.ammo,
-    maxAmmo: p.maxAmmo,
-    reloading: p.reloading,
-    name: p.name,
-    character: p.character,
-    color: p.color,
-    onGround: p.onGround
-  }));
+/** Ticks without input before an airborne `p` falls anyway — longer on a jittery connection */
+function inputStallTicks(p) {
+  const jitter = p.net ? p.net.jitter : 0;
+  const ms = Math.min(INPUT_STALL_MAX_MS, INPUT_STALL_MS + jitter * 2);
+  return Math.ceil(ms * PHYSICS_HZ / 1000);
+}
 
-  const bArr = Object.values(bullets).map(b => ({
-    id: b.id,
-    x: +b.x.toFixed(2), y: +b.y.toFixed(2), z: +b.z.toFixed(2),
-    color: b.color
-  }));
+/** Turn an input command into velocity, look angles and a jump */
+
+function applyInput(room, p, { seq, vx, vz, yaw, pitch, jump }) {
+  p.lastSeq = seq;
+  p.yaw   = yaw;
+  p.pitch = pitch;
+  if (isFrozen(room)) { p.vx = 0; p.vz = 0; return; }
+
+  // Normalize and apply speed
+  const len = Math.sqrt(vx * vx + vz * vz);
+  if (len > 0) {
+    p.vx = (vx / len) * p.speed;
+    p.vz = (vz / len) * p.speed;
+  } else {
+    p.vx = 0; p.vz = 0;
+  }
 
-  io.emit('gs', { players: pArr, bullets: bArr });
+  // Jump
+  if (jump && p.onGround) {
+    p.vy = JUMP_FORCE;
+    p.onGround = false;
+  }
+}
+
+/** Advance one physics tick: velocity, gravity, floor, map bounds, boxes */
+function movePlayer(room, p) {
+  p.x += p.vx * dt;
+  p.z += p.vz * dt;
 
-}, 1000 / BROADCAST_HZ);
+  // Gravity
+  p.vy += GRAVITY * dt;
+  p.y  += p.vy * dt;
+
+  // Floor
+  const grounded = p.onGround;
+  p.onGround = false;
+  if (p.y <= 0) { p.y = 0; p.vy = 0; p.onGround = true; }
+
+  // Map boundary clamp
+  const { w, d } = room.map;
+  p.x = Math.max(-w + PLAYER_R, Math.min(w - PLAYER_R, p.x));
+  p.z = Math.max(-d + PLAYER_R, Math.min(d - PLAYER_R, p.z));
+
+  // Box collisions
+  resolvePlayerCollisions(room, p, grounded);
+}
 
 // ─────────────────────────────────────────────
-// SOCKET EVENTS
+// LAG COMPENSATION
+// Every physics tick stores a snapshot of player positions. A shot
+// carries the server time the shooter was looking at (the client's
+// interpolated render time); its hits are tested against targets
+// rewound to that time, capped at LAG_COMP_MAX_MS so a stale or forged
+// time can't reach further back. Once the shooter's latency has been
+// measured (see NETWORK STATS) the cap tightens to what that latency
+// plus the client's interpolation delay can explain: a full round trip,
+// since the state the shooter saw was already a one-way trip old when
+// it arrived, and the shot takes another one-way trip to get here.
 // ─────────────────────────────────────────────
-io.on('connection', socket => {
-  console.log(`[+] Connected: ${socket.id}`);
+function recordHistory(room) {
+  const now = Date.now();
+  const players = {};
+  for (const id in room.players) {
+    const p = room.players[id];
+    players[id] = { x: p.x, y: p.y, z: p.z, alive: p.alive };
+  }
+  room.history.push({ t: now, players });
+  while (room.history.length && now - room.history[0].t > LAG_COMP_MAX_MS) room.history.shift();
+}
 
-  // Send map geometry so client can build the scene
-  socket.emit('map_data', {
-    boxes: MAP_BOXES,
-    mapW: MAP_W,
-    mapD: MAP_D,
-    characters: CHARACTERS
-  });
+/** How far back to rewind for a shot made while looking at state from `viewTime` */
+function rewindFor(viewTime, net) {
+  if (!Number.isFinite(viewTime)) return 0;
+  let max = LAG_COMP_MAX_MS;
+  if (net && net.samples) {
+    max = Math.min(max, net.rtt + net.jitter * 2 + CLIENT_INTERP_MS + LAG_COMP_SLACK_MS);
+  }
+  return Math.max(0, Math.min(max, Date.now() - viewTime));
+}
 
-  // ── JOIN ──
-  socket.on('join', ({ name, character }) => {
-    if (!CHARACTERS[character]) {
-      character = Object.keys(CHARACTERS)[0];
-    }
-    const ch = CHARACTERS[character];
-    const sp = randomSpawn();
-
-    players[socket.id] = {
-      id: socket.id,
-      name: (name || 'Soldier').substring(0, 16),
-      character,
-      color: ch.color,
-      x: sp.x, y: 0, z: sp.z,
-      vx: 0, vy: 0, vz: 0,
-      yaw: 0, pitch: 0,
-      speed: ch.speed,
-      health: ch.maxHp, maxHp: ch.maxHp,
-      damage: ch.damage,
-      fireRateMs: ch.fireRateMs,
-      reloadMs: ch.reloadMs,
-      maxAmmo: ch.maxAmmo,
-      ammo: ch.maxAmmo,
-      lastShot: 0,
-      alive: true,
-      kills: 0,
-      reloading: false,
-      onGround: true
+/** Player `id` as it was at time `t`, interpolated between recorded ticks */
+function positionAt(room, id, t) {
+  const p = room.players[id];
+  const current = { x: p.x, y: p.y, z: p.z, alive: p.alive };
+  const history = room.history;
+  for (let i = history.length - 1; i > 0; i--) {
+    const a = history[i - 1], b = history[i];
+    if (a.t > t) continue;
+    const from = a.players[id], to = b.players[id];
+    if (!from || !to) return current;              // joined since then
+    if (t >= b.t) return to;
+    const k = (t - a.t) / (b.t - a.t || 1);
+    return {
+      x: from.x + (to.x - from.x) * k,
+      y: from.y + (to.y - from.y) * k,
+      z: from.z + (to.z - from.z) * k,
+      alive: from.alive && to.alive
     };
+  }
+  // Older than the window (or no history yet): oldest snapshot we have
+  return (history[0] && history[0].players[id]) || current;
+}
 
-    console.log(`  > ${name} joined as ${character}`);
-    socket.emit('joined', { id: socket.id, mapData: { boxes: MAP_BOXES, mapW: MAP_W, mapD: MAP_D } });
-    io.emit('player_joined', { name, character });
-  });
+// ─────────────────────────────────────────────
+// HITSCAN
+// Instant shots: a ray from the shooter's eye stops at the first map box
+// (or the floor) and hits the nearest player hit zone in front of that,
+// using lag-compensated positions. Everyone who can see the shooter gets
+// a 'tracer' to draw; no bullet entry ever appears in 'gs'.
+// ─────────────────────────────────────────────
+function fireHitscan(room, p, dx, dy, dz, rewindMs) {
+  const ox = p.x, oy = p.y + PLAYER_H, oz = p.z;
 
-  // ── MOVEMENT INPUT ──
-  // Client sends normalized direction vector + look angles
-  socket.on('mv', ({ vx, vz, yaw, pitch, jump }) => {
-    const p = players[socket.id];
-    if (!p || !p.alive) return;
+  // Nearest wall / floor along the ray caps the range
+  let range = BULLET_MAX_DIST;
+  for (const box of room.map.boxes) {
+    range = Math.min(range, rayBoxDistance(ox, oy, oz, dx, dy, dz, box, range));
+  }
+  if (dy < 0) range = Math.min(range, -oy / dy);
 
-    // Normalize and apply speed
-    const len = Math.sqrt(vx * vx + vz * vz);
-    if (len > 0) {
-      p.vx = (vx / len) * p.speed;
-      p.vz = (vz / len) * p.speed;
-    } else {
-      p.vx = 0; p.vz = 0;
-    }
+  // Players the ray passes through, nearest first
+  const viewTime = Date.now() - rewindMs;
+  const hits = [];
+  for (const id in room.players) {
+    const target = room.players[id];
+    if (id === p.id || !target.alive) continue;
+    const seen = positionAt(room, id, viewTime);
+    if (!seen.alive) continue;
+    const hit = rayHitZone(ox, oy, oz, dx, dy, dz, seen, range);
+    if (hit) hits.push({ id, ...hit });
+  }
+  hits.sort((a, b) => a.t - b.t);
 
-    p.yaw   = yaw;
-    p.pitch = pitch;
+  let end = range, zone = null;
+  for (const hit of hits) {
+    // Teammates with friendly fire off don't stop the shot
+    const amount = p.damage * (p.zoneMult[hit.zone] ?? 1);
+    if (!damagePlayer(room, hit.id, p.id, amount, hit.zone)) continue;
+    end = hit.t; zone = hit.zone;
+    break;
+  }
 
-    // Jump
-    if (jump && p.onGround) {
-      p.vy = JUMP_FORCE;
-      p.onGround = false;
-    }
+  emitToWatchers(room, p.id, 'tracer', {
+    shooterId: p.id,
+    from: { x: +(p.x + dx * 1.2).toFixed(2), y: +(p.y + PLAYER_H * 0.85).toFixed(2), z: +(p.z + dz * 1.2).toFixed(2) },
+    to:   { x: +(ox + dx * end).toFixed(2), y: +(oy + dy * end).toFixed(2), z: +(oz + dz * end).toFixed(2) },
+    color: p.color,
+    hit: zone !== null,
+    zone,
+    impact: end < BULLET_MAX_DIST
   });
+}
 
-  // ── SHOOT ──
-  socket.on('shoot', ({ dx, dy, dz }) => {
-    const p = players[socket.id];
-    if (!p || !p.alive || p.reloading || p.ammo <= 0) return;
-    const now = Date.now();
-    if (now - p.lastShot < p.fireRateMs) return;
-
-    p.lastShot = now;
-    p.ammo--;
-
-    // Shotgun fires multiple pellets
-    const isChesney = p.character === 'Chesney';
-    const pellets   = isChesney ? 6 : 1;
-    const spread    = isChesney ? 0.08 : 0;
-
-    for (let i = 0; i < pellets; i++) {
-      const sdx = dx + (Math.random() - 0.5) * spread;
-      const sdy = dy + (Math.random() - 0.5) * spread;
-      const sdz = dz + (Math.random() - 0.5) * spread;
-      const len = Math.sqrt(sdx*sdx + sdy*sdy + sdz*sdz) || 1;
-
-      bullets[bulletId] = {
-        id: bulletId++,
-        ownerId: socket.id,
-        x: p.x + dx * 1.2,
-        y: p.y + PLAYER_H * 0.85,
-        z: p.z + dz * 1.2,
-        dx: sdx / len, dy: sdy / len, dz: sdz / len,
-        damage: isChesney ? p.damage / pellets : p.damage,
-        color: p.color,
-        dist: 0
-      };
-    }
-
-    if (p.ammo <= 0) startReload(socket.id);
-  });
+// ─────────────────────────────────────────────
+// DAMAGE, KILLS & SCORING
+// ─────────────────────────────────────────────
 
-  // ── RELOAD ──
-  socket.on('reload', () => {
-    const p = players[socket.id];
-    if (!p || p.reloading || p.ammo >= p.maxAmmo) return;
-    startReload(socket.id);
-  });
+/**
+ * Apply `amount` damage from shooterId to victimId in hit zone `zone`
+ * (already scaled by the weapon's zone multiplier). Returns false when
+ * the hit is ignored (teammate with friendly fire off) so the caller can
+ * let the projectile carry on.
+ */
+function damagePlayer(room, victimId, shooterId, amount, zone = 'torso') {
+  const p       = room.players[victimId];
+  const shooter = room.players[shooterId];
+  const friendly = isTeamMode(room) && shooter && shooter.team === p.team;
+  if (friendly) {
+    if (room.settings.friendlyFire === 'off') return false;
+    if (room.settings.friendlyFire === 'reduced') amount *= FRIENDLY_FIRE_SCALE;
+  }
 
-  // ── NEW GAME ──
-  socket.on('new_game', () => {
-    if (!gameOver) return;
-    gameOver = false; winner = null; bullets = {};
-    for (const id in players) {
-      const sp = randomSpawn();
-      Object.assign(players[id], {
-        x: sp.x, y: 0, z: sp.z,
-        vx: 0, vy: 0, vz: 0,
-        health: players[id].maxHp, alive: true,
-        kills: 0, ammo: players[id].maxAmmo, reloading: false
-      });
+  if (p.armor > 0) {
+    const absorbed = Math.min(p.armor, amount * ARMOR_ABSORB);
+    p.armor -= absorbed;
+    amount  -= absorbed;
+  }
+
+  p.health -= amount;
+  io.to(victimId).emit('hit', { health: Math.max(0, p.health), zone });
+  if (p.health <= 0) killPlayer(room, victimId, shooterId, friendly, zone);
+  return true;
+}
+
+/** Victim dies: credit the shooter (team kills score nothing), check the win, queue respawn */
+function killPlayer(room, victimId, shooterId, teamKill, zone = 'torso') {
+  const { players } = room;
+  const p = players[victimId];
+  p.health = 0; p.alive = false;
+  p.inputs = [];
+  p.extrapolated = 0;
+  dropFlag(room, victimId);
+  resetLoadout(p);
+
+  const shooter = players[shooterId];
+  if (shooter) {
+    if (!teamKill && isScoring(room)) {
+      shooter.kills++;
+      if (room.settings.mode === 'tdm') room.teamScores[shooter.team]++;
+      if (room.settings.mode === 'elim') addMoney(shooter, KILL_REWARD);
     }
-    io.emit('game_reset');
-  });
+    io.to(room.channel).emit('kill_feed', {
+      killer: shooter.name, victim: p.name,
+      killerChar: shooter.character,
+      killerTeam: shooter.team, victimTeam: p.team,
+      teamKill, zone
+    });
+    if (!teamKill && isScoring(room)) checkWin(room, shooter);
+  }
 
-  socket.on('disconnect', () => {
-    const p = players[socket.id];
-    if (p) io.emit('player_left', { name: p.name });
-    delete players[socket.id];
-    console.log(`[-] Disconnected: ${socket.id}`);
+  // No respawns inside an Elimination round — the next round revives everyone
+  if (room.settings.mode === 'elim' && room.round.phase !== 'waiting') return;
+
+  setTimeout(() => {
+    if (!players[victimId]) return;
+    const sp = spawnFor(room, players[victimId]);
+    Object.assign(players[victimId], {
+      x: sp.x, y: 0, z: sp.z,
+      vx: 0, vy: 0, vz: 0,
+      health: players[victimId].maxHp,
+      alive: true, ammo: players[victimId].maxAmmo
+    });
+    io.to(room.channel).emit('respawn', { id: victimId });
+  }, RESPAWN_MS);
+}
+
+/** End the match if `shooter` (or their team) just reached the goal */
+function checkWin(room, shooter) {
+  if (OBJECTIVE_MODES.includes(room.settings.mode)) return;   // see captureFlag() / updateHill()
+  if (isTeamMode(room)) {
+    const goal = room.settings.teamGoal;
+    if (room.teamScores[shooter.team] < goal) return;
+    endMatch(room, { winner: `${shooter.team.toUpperCase()} TEAM`, team: shooter.team, goal });
+  } else {
+    const goal = room.settings.killGoal;
+    if (shooter.kills < goal) return;
+    endMatch(room, { winner: shooter.name, character: shooter.character, goal });
+  }
+}
+
+/**
+ * `reason` is 'goal' (score reached), 'time' (leader when the clock ran
+ * out or in overtime) or 'draw' (overtime ended still tied, winner null).
+ */
+function endMatch(room, { winner, character = null, team = null, goal, reason = 'goal' }) {
+  room.gameOver = true; room.winner = winner;
+  room.match.phase = 'over';
+  io.to(room.channel).emit('game_over', { winner, character, team, mode: room.settings.mode, killGoal: goal, reason });
+  startVote(room);
+  broadcastRoomList();
+}
+
+// ─────────────────────────────────────────────
+// MATCH FLOW
+// Phases:
+//   warmup    — free play, nothing scores; ends once every player has
+//               readied up, or after WARMUP_MS with someone in the room
+//   countdown — scores and positions reset, everyone frozen at spawn
+//   live      — the real match, against the time limit if one is set
+//   overtime  — time ran out tied: the next lead wins, otherwise a draw
+//               after OVERTIME_MS
+//   over      — game over screen until the map vote closes or someone asks
+//               for a new game (see MAP ROTATION & VOTING)
+// ─────────────────────────────────────────────
+function createMatch() {
+  return { phase: 'warmup', phaseEndsAt: Date.now() + WARMUP_MS };
+}
+
+/** Do kills and objectives count right now? */
+function isScoring(room) {
+  return room.match.phase === 'live' || room.match.phase === 'overtime';
+}
+
+function setMatchPhase(room, phase, durationMs) {
+  room.match.phase = phase;
+  room.match.phaseEndsAt = durationMs ? Date.now() + durationMs : 0;
+  io.to(room.channel).emit('match_phase', { phase, timeLeft: durationMs || 0 });
+}
+
+/** Back to warmup — clears the game over state and everyone's ready flag */
+function startWarmup(room) {
+  cancelVote(room);
+  room.gameOver = false; room.winner = null;
+  resetMatchState(room);
+  for (const id in room.players) room.players[id].ready = false;
+  setMatchPhase(room, 'warmup', WARMUP_MS);
+  broadcastRoomList();
+}
+
+/** Zero every score and put everyone back at spawn with a fresh loadout */
+function resetMatchState(room) {
+  room.bullets = {};
+  room.teamScores = { red: 0, blue: 0 };
+  room.flags = createFlags(room.map);
+  room.hill  = createHill();
+  room.round = createRound();
+  for (const id in room.players) {
+    const p  = room.players[id];
+    const sp = spawnFor(room, p);
+    resetLoadout(p);
+    Object.assign(p, {
+      x: sp.x, y: 0, z: sp.z,
+      vx: 0, vy: 0, vz: 0,
+      health: p.maxHp, alive: true,
+      kills: 0, score: 0, money: START_MONEY,
+      ammo: p.maxAmmo, reloading: false
+    });
+  }
+}
+
+/** Current leader for a time-limit finish, or null while tied */
+function matchLeader(room) {
+  const mode = room.settings.mode;
+  if (isTeamMode(room)) {
+    const { red, blue } = room.teamScores;
+    if (red === blue) return null;
+    const team = red > blue ? 'red' : 'blue';
+    return { winner: `${team.toUpperCase()} TEAM`, team, goal: room.teamScores[team] };
+  }
+  const key = mode === 'ffa' ? 'kills' : 'score';
+  const ranked = Object.values(room.players).sort((a, b) => b[key] - a[key]);
+  if (!ranked.length || (ranked[1] && ranked[1][key] === ranked[0][key])) return null;
+  return { winner: ranked[0].name, character: ranked[0].character, goal: ranked[0][key] };
+}
+
+/** Runs every physics tick */
+function updateMatch(room) {
+  const match = room.match;
+  const now   = Date.now();
+  const players = Object.values(room.players);
+
+  if (match.phase === 'warmup') {
+    if (!players.length) { match.phaseEndsAt = now + WARMUP_MS; return; }
+    if (players.every(p => p.ready) || now >= match.phaseEndsAt) {
+      resetMatchState(room);
+      setMatchPhase(room, 'countdown', COUNTDOWN_MS);
+    }
+  } else if (match.phase === 'countdown') {
+    if (now >= match.phaseEndsAt) setMatchPhase(room, 'live', room.settings.timeLimit * 60000);
+  } else if (match.phase === 'live') {
+    if (!match.phaseEndsAt || now < match.phaseEndsAt) return;
+    const leader = matchLeader(room);
+    if (leader) endMatch(room, { ...leader, reason: 'time' });
+    else setMatchPhase(room, 'overtime', OVERTIME_MS);
+  } else if (match.phase === 'overtime') {
+    const leader = matchLeader(room);
+    if (leader) endMatch(room, { ...leader, reason: 'time' });
+    else if (now >= match.phaseEndsAt) endMatch(room, { winner: null, goal: 0, reason: 'draw' });
+  }
+}
+
+// ─────────────────────────────────────────────
+// MAP ROTATION & VOTING
+// After game over a room moves on to the next entry of MAP_ROTATION.
+// With MAP_VOTE on, the game over screen offers VOTE_OPTIONS picks
+// instead (the upcoming rotation entries first, topped up with random
+// map/mode pairs) for VOTE_MS. Most votes wins; ties and no votes go to
+// the earliest option. The vote closes early once every human has voted.
+// Config: MAP_ROTATION="bunker,foundry:koth" (map or map:mode — a bare map
+// keeps the room's mode when it can) and MAP_VOTE=0 to skip voting.
+// ─────────────────────────────────────────────
+const MAP_VOTE     = process.env.MAP_VOTE !== '0';
+const VOTE_MS      = 15000;
+const VOTE_OPTIONS = 3;
+const MAP_ROTATION = parseRotation(process.env.MAP_ROTATION);
+
+/** Rotation entries { map, mode } (mode null = keep the room's) — bad entries are skipped with a warning */
+function parseRotation(spec) {
+  const all = [...maps.keys()].map(map => ({ map, mode: null }));
+  if (!spec) return all;
+  const rotation = [];
+  for (const item of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [map, mode = null] = item.split(':');
+    if (!maps.has(map)) console.warn(`  ! MAP_ROTATION: unknown map "${map}" skipped`);
+    else if (mode && !mapModes(maps.get(map)).includes(mode)) console.warn(`  ! MAP_ROTATION: ${map} can't host "${mode}", skipped`);
+    else rotation.push({ map, mode });
+  }
+  return rotation.length ? rotation : all;
+}
+
+/** Map and mode for rotation entry `at` */
+function rotationPick(room, at) {
+  const { map, mode } = MAP_ROTATION[at];
+  const keep = mapModes(maps.get(map)).includes(room.settings.mode) ? room.settings.mode : 'ffa';
+  return { map, mode: mode || keep, at };
+}
+
+/** Where the room stands in MAP_ROTATION (its map's first entry until it rotates) */
+function rotationIndex(room) {
+  if (room.rotationAt < 0) room.rotationAt = MAP_ROTATION.findIndex(e => e.map === room.map.id);
+  return room.rotationAt;
+}
+
+function nextInRotation(room) {
+  return rotationPick(room, (rotationIndex(room) + 1) % MAP_ROTATION.length);
+}
+
+/** Up to VOTE_OPTIONS distinct picks, the upcoming rotation entries first */
+function voteOptions(room) {
+  const options = [];
+  const add = pick => {
+    if (options.length < VOTE_OPTIONS &&
+        !options.some(o => o.map === pick.map && o.mode === pick.mode)) options.push(pick);
+  };
+  const start = rotationIndex(room);
+  for (let i = 1; i <= MAP_ROTATION.length; i++) add(rotationPick(room, (start + i) % MAP_ROTATION.length));
+
+  const extras = [...maps.values()].flatMap(m => mapModes(m).map(mode => ({ map: m.id, mode, at: -1 })));
+  while (options.length < VOTE_OPTIONS && extras.length) {
+    add(extras.splice(Math.floor(Math.random() * extras.length), 1)[0]);
+  }
+  return options;
+}
+
+/** Called from endMatch: open the vote, or just wait for 'new_game' */
+function startVote(room) {
+  if (!MAP_VOTE) return;
+  const options = voteOptions(room);
+  if (options.length < 2) return;
+  room.vote = {
+    options,
+    votes: {},   // player id → option index
+    timer: setTimeout(() => finishVote(room), VOTE_MS)
+  };
+  io.to(room.channel).emit('map_vote', {
+    options: options.map(o => ({ map: o.map, name: maps.get(o.map).name, mode: o.mode })),
+    timeLeft: VOTE_MS
+  });
+}
+
+function voteCounts(vote) {
+  const counts = vote.options.map(() => 0);
+  for (const id in vote.votes) counts[vote.votes[id]]++;
+  return counts;
+}
+
+function castVote(room, p, choice) {
+  const vote = room.vote;
+  if (!vote || p.bot || choice < 0 || choice >= vote.options.length) return;
+  vote.votes[p.id] = choice;
+  io.to(room.channel).emit('map_vote_tally', { counts: voteCounts(vote) });
+  if (Object.values(room.players).every(pl => pl.bot || pl.id in vote.votes)) finishVote(room);
+}
+
+function finishVote(room) {
+  const counts = voteCounts(room.vote);
+  const pick   = room.vote.options[counts.indexOf(Math.max(...counts))];
+  cancelVote(room);
+  playNext(room, pick);
+}
+
+function cancelVote(room) {
+  if (!room.vote) return;
+  clearTimeout(room.vote.timer);
+  room.vote = null;
+}
+
+/** Move on to `pick` ({ map, mode, at }) and go back to warmup */
+function playNext(room, { map, mode, at }) {
+  if (at >= 0) room.rotationAt = at;
+  if (maps.get(map) !== room.map || mode !== room.settings.mode) changeMap(room, map, mode);
+  startWarmup(room);
+  io.to(room.channel).emit('game_reset');
+}
+
+/** Swap the room's arena and mode: re-team everyone and send clients the new map */
+function changeMap(room, map, mode) {
+  room.settings = { ...room.settings, map, mode };
+  room.map      = maps.get(map);
+  room.history  = [];
+  const players = Object.values(room.players);
+  players.forEach(p => { p.team = null; });
+  players.forEach(p => {
+    if (isTeamMode(room)) p.team = smallerTeam(room);
+    if (p.bot) p.bot.path = [];
+  });
+  io.to(room.channel).emit('map_data', { ...mapPayload(room.map), characters: CHARACTERS });
+  io.to(room.channel).emit('room_settings', { settings: room.settings, shop: mode === 'elim' ? SHOP : null });
+  console.log(`  # Room ${room.id} now on ${room.map.name} (${mode})`);
+}
+
+// ─────────────────────────────────────────────
+// CAPTURE THE FLAG
+// Each team's flag sits at its map.flagBases entry. Touch the enemy flag to
+// pick it up, touch your own dropped flag to send it home, and carry the
+// enemy flag onto your base (while your flag is home) to capture.
+// ─────────────────────────────────────────────
+/** One flag per team at its base — none on maps without flagBases */
+function createFlags(map) {
+  const flags = {};
+  if (!map.flagBases) return flags;
+  for (const team in TEAMS) {
+    const base = map.flagBases[team];
+    flags[team] = { team, x: base.x, y: 0, z: base.z, carrierId: null, atBase: true, droppedAt: 0 };
+  }
+  return flags;
+}
+
+function returnFlag(room, flag) {
+  const base = room.map.flagBases[flag.team];
+  Object.assign(flag, { x: base.x, y: 0, z: base.z, carrierId: null, atBase: true, droppedAt: 0 });
+}
+
+function flagEvent(room, type, flag, p) {
+  io.to(room.channel).emit('flag_event', {
+    type, team: flag.team,
+    player: p ? p.name : null, playerTeam: p ? p.team : null
+  });
+}
+
+/** If `id` is carrying a flag, leave it where they stand */
+function dropFlag(room, id) {
+  for (const team in room.flags) {
+    const flag = room.flags[team];
+    if (flag.carrierId !== id) continue;
+    flag.carrierId = null;
+    flag.droppedAt = Date.now();
+    flagEvent(room, 'drop', flag, room.players[id]);
+  }
+}
+
+function touching(p, x, z) {
+  const dx = p.x - x, dz = p.z - z;
+  return dx * dx + dz * dz < FLAG_PICKUP_R * FLAG_PICKUP_R;
+}
+
+/** Runs every physics tick in CTF rooms */
+function updateFlags(room) {
+  const now = Date.now();
+
+  for (const team in room.flags) {
+    const flag = room.flags[team];
+    const carrier = flag.carrierId && room.players[flag.carrierId];
+    if (carrier) {
+      flag.x = carrier.x; flag.y = carrier.y; flag.z = carrier.z;
+    } else if (flag.carrierId) {
+      // Carrier vanished without going through dropFlag
+      flag.carrierId = null; flag.droppedAt = now;
+    } else if (!flag.atBase && now - flag.droppedAt > FLAG_RETURN_MS) {
+      returnFlag(room, flag);
+      flagEvent(room, 'return', flag, null);
+    }
+  }
+
+  for (const id in room.players) {
+    const p = room.players[id];
+    if (!p.alive || !p.team) continue;
+
+    for (const team in room.flags) {
+      const flag = room.flags[team];
+      if (flag.carrierId || !touching(p, flag.x, flag.z)) continue;
+
+      if (team !== p.team) {
+        flag.carrierId = id; flag.atBase = false;
+        flagEvent(room, 'pickup', flag, p);
+      } else if (!flag.atBase) {
+        returnFlag(room, flag);
+        flagEvent(room, 'return', flag, p);
+      }
+    }
+
+    const own = room.flags[p.team];
+    const base = room.map.flagBases[p.team];
+    if (own.atBase && touching(p, base.x, base.z) && isScoring(room)) {
+      for (const team in room.flags) {
+        if (room.flags[team].carrierId === id) captureFlag(room, room.flags[team], p);
+      }
+    }
+  }
+}
+
+function captureFlag(room, flag, p) {
+  returnFlag(room, flag);
+  room.teamScores[p.team]++;
+  flagEvent(room, 'capture', flag, p);
+
+  const goal = room.settings.captureGoal;
+  if (room.teamScores[p.team] >= goal) {
+    endMatch(room, { winner: `${p.team.toUpperCase()} TEAM`, team: p.team, goal });
+  }
+}
+
+// ─────────────────────────────────────────────
+// KING OF THE HILL
+// A side (a player in koth, a team in tkoth) standing alone in map.hillZone
+// for HILL_CAPTURE_MS takes the hill, then scores a point every second
+// it holds it uncontested. Two or more sides in the zone = contested:
+// nobody scores and capture progress freezes. An empty hill lets
+// unfinished capture progress drain away; the owner keeps it but
+// only earns points while standing in it.
+// ─────────────────────────────────────────────
+function createHill() {
+  return { owner: null, capturer: null, progress: 0, contested: false, accum: 0 };
+}
+
+function inHill(room, p) {
+  const zone = room.map.hillZone;
+  const dx = p.x - zone.x, dz = p.z - zone.z;
+  return dx * dx + dz * dz < zone.r * zone.r;
+}
+
+/** Runs every physics tick in hill rooms */
+function updateHill(room) {
+  const hill  = room.hill;
+  const teams = isTeamMode(room);
+
+  // Owning player left the room
+  if (!teams && hill.owner && !room.players[hill.owner]) hill.owner = null;
+
+  const sides = new Set();
+  for (const id in room.players) {
+    const p = room.players[id];
+    if (p.alive && inHill(room, p)) sides.add(teams ? p.team : id);
+  }
+  hill.contested = sides.size > 1;
+
+  if (sides.size === 0) {
+    if (hill.capturer) {
+      hill.progress = Math.max(0, hill.progress - dt * 1000 / HILL_CAPTURE_MS);
+      if (hill.progress === 0) hill.capturer = null;
+    }
+    return;
+  }
+  if (hill.contested) return;
+
+  const side = sides.values().next().value;
+  if (side === hill.owner) {
+    hill.accum += dt;
+    while (hill.accum >= 1) {
+      hill.accum -= 1;
+      if (isScoring(room)) scoreHill(room, side);
+      if (room.gameOver) return;
+    }
+    return;
+  }
+
+  if (hill.capturer !== side) { hill.capturer = side; hill.progress = 0; }
+  hill.progress += dt * 1000 / HILL_CAPTURE_MS;
+  if (hill.progress >= 1) {
+    Object.assign(hill, { owner: side, capturer: null, progress: 0, accum: 0 });
+    io.to(room.channel).emit('hill_captured', {
+      team: teams ? side : null,
+      player: teams ? null : room.players[side].name
+    });
+  }
+}
+
+function scoreHill(room, side) {
+  const goal = room.settings.hillGoal;
+  if (isTeamMode(room)) {
+    if (++room.teamScores[side] >= goal) {
+      endMatch(room, { winner: `${side.toUpperCase()} TEAM`, team: side, goal });
+    }
+  } else {
+    const p = room.players[side];
+    if (++p.score >= goal) {
+      endMatch(room, { winner: p.name, character: p.character, goal });
+    }
+  }
+}
+
+// ─────────────────────────────────────────────
+// ELIMINATION ROUNDS & ECONOMY
+// Round phases:
+//   waiting — not enough players on both teams, normal respawns
+//   buy     — everyone revived at team spawns, frozen, shop open
+//   live    — fight; no respawns; ends on a wipe or after ROUND_TIME_MS
+//   end     — short pause, then the next round's buy phase
+// A round timeout goes to the team with more players alive (equal = draw).
+// ─────────────────────────────────────────────
+function createRound() {
+  return { phase: 'waiting', number: 0, phaseEndsAt: 0 };
+}
+
+/** Match countdown or Elimination buy phase: players stay put and can't shoot */
+function isFrozen(room) {
+  return room.match.phase === 'countdown' ||
+    (room.settings.mode === 'elim' && room.round.phase === 'buy');
+}
+
+function addMoney(p, amount) {
+  p.money = Math.min(MAX_MONEY, p.money + amount);
+}
+
+/** Stats for a weapon, taken from the character that carries it by default */
+function weaponStats(weapon) {
+  const ch = Object.values(CHARACTERS).find(c => c.weapon === weapon);
+  if (!ch) throw new Error(`Unknown weapon "${weapon}"`);
+  return {
+    weapon, fire: ch.fire, damage: ch.damage, zoneMult: ch.zoneMult,
+    fireRateMs: ch.fireRateMs, reloadMs: ch.reloadMs, maxAmmo: ch.maxAmmo
+  };
+}
+
+function equipWeapon(p, weapon) {
+  Object.assign(p, weaponStats(weapon));
+  p.ammo = p.maxAmmo;
+}
+
+/** Back to the character's own weapon and no armor (on death) */
+function resetLoadout(p) {
+  if (p.weapon !== CHARACTERS[p.character].weapon) equipWeapon(p, CHARACTERS[p.character].weapon);
+  p.armor = 0;
+}
+
+function teamCounts(room) {
+  const counts = { red: { total: 0, alive: 0 }, blue: { total: 0, alive: 0 } };
+  for (const id in room.players) {
+    const p = room.players[id];
+    if (!p.team) continue;
+    counts[p.team].total++;
+    if (p.alive) counts[p.team].alive++;
+  }
+  return counts;
+}
+
+/** Runs every physics tick in Elimination rooms */
+function updateRound(room) {
+  const round  = room.round;
+  const now    = Date.now();
+  const counts = teamCounts(room);
+  const bothTeams = counts.red.total > 0 && counts.blue.total > 0;
+
+  if (round.phase === 'waiting') {
+    if (bothTeams) startRound(room);
+    return;
+  }
+  if (!bothTeams) {
+    // One side emptied out — wait for players again
+    round.phase = 'waiting';
+    io.to(room.channel).emit('round_end', { number: round.number, winner: null, reason: 'players_left', teamScores: room.teamScores });
+    return;
+  }
+
+  if (round.phase === 'buy' && now >= round.phaseEndsAt) {
+    round.phase = 'live';
+    round.phaseEndsAt = now + ROUND_TIME_MS;
+  } else if (round.phase === 'live') {
+    if (!counts.red.alive || !counts.blue.alive) {
+      endRound(room, counts.red.alive ? 'red' : counts.blue.alive ? 'blue' : null, 'elimination');
+    } else if (now >= round.phaseEndsAt) {
+      const { red, blue } = counts;
+      endRound(room, red.alive > blue.alive ? 'red' : blue.alive > red.alive ? 'blue' : null, 'time');
+    }
+  } else if (round.phase === 'end' && now >= round.phaseEndsAt) {
+    startRound(room);
+  }
+}
+
+/** Revive everyone at their team spawns and open the buy phase */
+function startRound(room) {
+  const round = room.round;
+  round.number++;
+  round.phase = 'buy';
+  round.phaseEndsAt = Date.now() + BUY_PHASE_MS;
+  room.bullets = {};
+
+  for (const id in room.players) {
+    const p  = room.players[id];
+    const sp = spawnFor(room, p);
+    Object.assign(p, {
+      x: sp.x, y: 0, z: sp.z,
+      vx: 0, vy: 0, vz: 0,
+      health: p.maxHp, alive: true,
+      ammo: p.maxAmmo, reloading: false
+    });
+  }
+
+  io.to(room.channel).emit('round_start', {
+    number: round.number, buyMs: BUY_PHASE_MS, roundMs: ROUND_TIME_MS
+  });
+}
+
+function endRound(room, winner, reason) {
+  const round = room.round;
+  round.phase = 'end';
+  round.phaseEndsAt = Date.now() + ROUND_END_MS;
+  if (winner) room.teamScores[winner]++;
+
+  for (const id in room.players) {
+    const p = room.players[id];
+    if (!p.team) continue;
+    addMoney(p, p.team === winner ? ROUND_WIN_REWARD : ROUND_LOSS_REWARD);
+  }
+
+  io.to(room.channel).emit('round_end', { number: round.number, winner, reason, teamScores: room.teamScores });
+
+  const goal = room.settings.roundsToWin;
+  if (winner && room.teamScores[winner] >= goal) {
+    endMatch(room, { winner: `${winner.toUpperCase()} TEAM`, team: winner, goal });
+  }
+}
+
+/** Buy phase purchase — replies with 'buy_result' */
+function buyItem(room, p, itemId) {
+  const item = Object.hasOwn(SHOP, itemId) ? SHOP[itemId] : null;
+  const fail = message => ({ ok: false, item: itemId, money: p.money, message });
+  if (!item)                         return fail('Unknown item');
+  if (!isFrozen(room) || !p.alive)   return fail('Buy phase is over');
+  if (p.money < item.price)          return fail('Not enough money');
+  if (item.weapon && p.weapon === item.weapon) return fail('Already equipped');
+  if (item.armor && p.armor >= item.armor)     return fail('Armor is full');
+
+  p.money -= item.price;
+  if (item.weapon) equipWeapon(p, item.weapon);
+  if (item.armor)  p.armor = item.armor;
+  return { ok: true, item: itemId, money: p.money };
+}
+
+// ─────────────────────────────────────────────
+// BOTS
+// Public rooms with humans in them are topped up to BOT_COUNT players
+// with server-side bots, and each human who joins takes a bot's place.
+// Private rooms (friends-only matches, editor test rooms) get none unless
+// BOTS_IN_PRIVATE=1.
+//
+// Bots are ordinary entries in room.players (`p.bot` holds their brain)
+// and play through the same code as everyone else: movement commands go
+// through p.inputs, shots through fireWeapon, reloads through startReload.
+//
+// Navigation uses a grid of NAV_CELL squares over the map; a cell is
+// blocked when a box too tall to step onto stands there. Bots path with
+// A* between cell centers, decide what to do every BOT_THINK_MS, and
+// turn, aim and move every physics tick.
+// Config: BOT_COUNT, BOTS_IN_PRIVATE and BOT_DIFFICULTY (easy | normal | hard) env vars.
+// ─────────────────────────────────────────────
+const BOT_COUNT = Number(process.env.BOT_COUNT ?? 4);   // fill rooms to this many players; 0 = no bots
+const BOTS_IN_PRIVATE = process.env.BOTS_IN_PRIVATE === '1';
+const BOT_DIFFICULTIES = {
+  easy:   { reactionMs: 700, aimError: 0.09,  turnRate: 4  },   // ms before the first shot, rad of aim wobble, rad/s
+  normal: { reactionMs: 400, aimError: 0.045, turnRate: 7  },
+  hard:   { reactionMs: 200, aimError: 0.02,  turnRate: 12 }
+};
+const BOT_DIFFICULTY = BOT_DIFFICULTIES[process.env.BOT_DIFFICULTY] || BOT_DIFFICULTIES.normal;
+const BOT_NAMES = ['Viper', 'Ghost', 'Raven', 'Havoc', 'Nomad', 'Blitz', 'Echo', 'Rook', 'Sable', 'Drift'];
+
+const BOT_THINK_MS    = 150;
+const BOT_SIGHT       = 60;     // how far bots spot enemies
+const BOT_FIGHT_DIST  = 18;     // bots close in to about this range, then strafe
+const BOT_COVER_HP    = 0.35;   // share of max health below which bots hide
+const BOT_COVER_MS    = 2500;   // how long they stay hidden before peeking again
+const BOT_COVER_CELLS = 12;     // how far (in cells) they look for cover
+
+const NAV_CELL = 2;
+
+let botSeq = 0;
+
+/** The map's nav grid, built the first time a bot needs it */
+function navFor(map) {
+  return map.nav || (map.nav = buildNavGrid(map));
+}
+
+/** Cover the map in NAV_CELL squares, marking every center a player can't stand on */
+function buildNavGrid(map) {
+  const cols = Math.ceil(map.w * 2 / NAV_CELL);
+  const rows = Math.ceil(map.d * 2 / NAV_CELL);
+  const nav  = { w: map.w, d: map.d, cols, rows, blocked: new Uint8Array(cols * rows) };
+  for (let cell = 0; cell < nav.blocked.length; cell++) {
+    const { x, z } = cellCenter(nav, cell);
+    nav.blocked[cell] = map.boxes.some(b => navBlocks(b, x, z)) ? 1 : 0;
+  }
+  return nav;
+}
+
+/** Does box `b` keep a player off the point (x, z)? Ramps that start at the floor can be walked onto */
+function navBlocks(b, x, z) {
+  const { lx, lz } = boxLocal(b, x, z);
+  if (Math.abs(lx) >= b.w + PLAYER_R || Math.abs(lz) >= b.d + PLAYER_R) return false;
+  if (b.y - b.h >= PLAYER_H) return false;
+  if (b.shape === 'ramp' && b.y - b.h <= STEP_HEIGHT && Math.abs(lx) <= b.w && Math.abs(lz) <= b.d) return false;
+  return boxTop(b, lz) > STEP_HEIGHT;
+}
+
+function cellCenter(nav, cell) {
+  return {
+    x: -nav.w + (cell % nav.cols + 0.5) * NAV_CELL,
+    z: -nav.d + (Math.floor(cell / nav.cols) + 0.5) * NAV_CELL
+  };
+}
+
+function cellAt(nav, x, z) {
+  const c = Math.max(0, Math.min(nav.cols - 1, Math.floor((x + nav.w) / NAV_CELL)));
+  const r = Math.max(0, Math.min(nav.rows - 1, Math.floor((z + nav.d) / NAV_CELL)));
+  return r * nav.cols + c;
+}
+
+/** The up-to-four open cells sharing an edge with `cell` */
+function openNeighbours(nav, cell) {
+  const { cols, rows } = nav, c = cell % cols, out = [];
+  if (c > 0)                    out.push(cell - 1);
+  if (c < cols - 1)             out.push(cell + 1);
+  if (cell >= cols)             out.push(cell - cols);
+  if (cell < cols * (rows - 1)) out.push(cell + cols);
+  return out.filter(n => !nav.blocked[n]);
+}
+
+/** A random open cell within `radius` of (x, z), or the nearest to it */
+function openCellNear(nav, x, z, radius) {
+  for (let i = 0; i < 20; i++) {
+    const a = Math.random() * Math.PI * 2, d = Math.random() * radius;
+    const cell = cellAt(nav, x + Math.cos(a) * d, z + Math.sin(a) * d);
+    if (!nav.blocked[cell]) return cell;
+  }
+  return cellAt(nav, x, z);
+}
+
+/**
+ * A* over the nav grid (8 directions, no cutting past blocked corners).
+ * Returns the waypoints from `from` to `to` as world points, or [] if
+ * there's no way there.
+ */
+function findPath(nav, from, to) {
+  const { cols, rows, blocked } = nav;
+  if (blocked[to] || from === to) return [];
+  const n = cols * rows;
+  const cost = new Float32Array(n).fill(Infinity);
+  const prev = new Int32Array(n).fill(-1);
+  const done = new Uint8Array(n);
+  const tc = to % cols, tr = Math.floor(to / cols);
+  const guess = cell => {
+    const dc = Math.abs(cell % cols - tc), dr = Math.abs(Math.floor(cell / cols) - tr);
+    return Math.max(dc, dr) + (Math.SQRT2 - 1) * Math.min(dc, dr);
+  };
+
+  const open = [];   // binary min-heap of [estimate, cell]
+  const push = item => {
+    let i = open.push(item) - 1;
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (open[up][0] <= open[i][0]) break;
+      [open[up], open[i]] = [open[i], open[up]];
+      i = up;
+    }
+  };
+  const pop = () => {
+    const top = open[0], last = open.pop();
+    if (open.length) {
+      open[0] = last;
+      for (let i = 0;;) {
+        const l = i * 2 + 1, r = l + 1;
+        let m = i;
+        if (l < open.length && open[l][0] < open[m][0]) m = l;
+        if (r < open.length && open[r][0] < open[m][0]) m = r;
+        if (m === i) break;
+        [open[m], open[i]] = [open[i], open[m]];
+        i = m;
+      }
+    }
+    return top[1];
+  };
+
+  cost[from] = 0;
+  push([guess(from), from]);
+  while (open.length) {
+    const cell = pop();
+    if (cell === to) break;
+    if (done[cell]) continue;
+    done[cell] = 1;
+    const c = cell % cols, r = Math.floor(cell / cols);
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const nc = c + dc, nr = r + dr;
+        if ((!dc && !dr) || nc < 0 || nr < 0 || nc >= cols || nr >= rows) continue;
+        const next = nr * cols + nc;
+        if (blocked[next] || done[next]) continue;
+        if (dc && dr && (blocked[r * cols + nc] || blocked[nr * cols + c])) continue;
+        const g = cost[cell] + (dc && dr ? Math.SQRT2 : 1);
+        if (g >= cost[next]) continue;
+        cost[next] = g;
+        prev[next] = cell;
+        push([g + guess(next), next]);
+      }
+    }
+  }
+  if (prev[to] === -1) return [];
+
+  const path = [];
+  for (let cell = to; cell !== from; cell = prev[cell]) path.push(cellCenter(nav, cell));
+  return path.reverse();
+}
+
+/** Nearest open cell beside a wall that `threat` can't see, or -1 */
+function findCover(room, p, threat) {
+  const nav   = navFor(room.map);
+  const start = cellAt(nav, p.x, p.z);
+  const seen  = new Set([start]);
+  let ring = [start];
+  for (let step = 0; step < BOT_COVER_CELLS && ring.length; step++) {
+    const next = [];
+    for (const cell of ring) {
+      if (cell !== start && openNeighbours(nav, cell).length < 4) {
+        const { x, z } = cellCenter(nav, cell);
+        if (!pointVisible(room, threat, x, PLAYER_H * 0.8, z)) return cell;
+      }
+      for (const nb of openNeighbours(nav, cell)) {
+        if (!seen.has(nb)) { seen.add(nb); next.push(nb); }
+      }
+    }
+    ring = next;
+  }
+  return -1;
+}
+
+function humanCount(room) {
+  return Object.values(room.players).filter(p => !p.bot).length;
+}
+
+/** Add or remove bots so the room holds BOT_COUNT players (none without humans, none in private rooms) */
+function fillBots(room) {
+  const humans = humanCount(room);
+  const botsAllowed = humans > 0 && (!room.isPrivate || BOTS_IN_PRIVATE);
+  const want = botsAllowed ? Math.max(0, Math.min(BOT_COUNT, room.settings.maxPlayers) - humans) : 0;
+  let bots = Object.values(room.players).filter(p => p.bot);
+  for (let i = bots.length; i < want; i++) addBot(room);
+
+  while (bots.length > want) {
+    // In team modes the bot leaves from the bigger team
+    const bigger = isTeamMode(room) && (smallerTeam(room) === 'red' ? 'blue' : 'red');
+    const bot = bots.find(b => b.team === bigger) || bots[0];
+    removePlayer(room, bot.id);
+    bots = bots.filter(b => b !== bot);
+  }
+}
+
+function addBot(room) {
+  const taken = Object.values(room.players).map(p => p.name);
+  const names = BOT_NAMES.filter(n => !taken.includes(`Bot ${n}`));
+  const chars = Object.keys(CHARACTERS);
+  const p = createPlayer(room, `bot-${++botSeq}`,
+    `Bot ${names[Math.floor(Math.random() * names.length)] || BOT_NAMES[0]}`,
+    chars[Math.floor(Math.random() * chars.length)]);
+  p.bot = {
+    mode: 'roam', path: [], pathAt: 0, thinkAt: 0,
+    targetId: null, seenAt: 0, coverAt: 0,
+    strafe: 1, strafeAt: 0,
+    lastX: p.x, lastZ: p.z, movedAt: Date.now()
+  };
+  p.ready = true;
+  console.log(`  > ${p.name} (bot) joined ${room.id} as ${p.character}${p.team ? ` (${p.team})` : ''}`);
+  io.to(room.channel).emit('player_joined', { name: p.name, character: p.character, team: p.team });
+}
+
+/** Runs every physics tick before players move */
+function updateBots(room, now) {
+  for (const id in room.players) {
+    const p = room.players[id];
+    if (!p.bot || !p.alive) continue;
+    if (now >= p.bot.thinkAt) {
+      botThink(room, p, now);
+      p.bot.thinkAt = now + BOT_THINK_MS;
+    }
+    botAct(room, p, now);
+  }
+}
+
+/** Nearest enemy in sight, if any */
+function botTarget(room, p) {
+  let best = null, bestDist = BOT_SIGHT;
+  for (const id in room.players) {
+    const t = room.players[id];
+    if (t === p || !t.alive || (isTeamMode(room) && t.team === p.team)) continue;
+    const d = Math.hypot(t.x - p.x, t.z - p.z);
+    if (d < bestDist && pointVisible(room, p, t.x, t.y + 0.9, t.z)) { best = t; bestDist = d; }
+  }
+  return best;
+}
+
+/** Where a bot heads with nobody to fight: the objective, or anywhere */
+function botObjective(room, p) {
+  const { map, settings: { mode } } = room;
+  const nav = navFor(map);
+  if (mode === 'ctf' && p.team) {
+    const enemy = room.flags[p.team === 'red' ? 'blue' : 'red'];
+    const home  = map.flagBases[p.team];
+    if (enemy.carrierId === p.id) return openCellNear(nav, home.x, home.z, 1);
+    if (!enemy.carrierId) return openCellNear(nav, enemy.x, enemy.z, 1);
+  }
+  if (HILL_MODES.includes(mode)) return openCellNear(nav, map.hillZone.x, map.hillZone.z, map.hillZone.r);
+  return openCellNear(nav, 0, 0, Math.min(map.w, map.d));
+}
+
+function botGoTo(room, p, cell, now) {
+  const nav = navFor(room.map);
+  p.bot.path   = findPath(nav, cellAt(nav, p.x, p.z), cell);
+  p.bot.pathAt = now;
+}
+
+/** Pick a target and decide where to go */
+function botThink(room, p, now) {
+  const bot    = p.bot;
+  const target = botTarget(room, p);
+  if (!target) bot.targetId = null;
+  else if (target.id !== bot.targetId) { bot.targetId = target.id; bot.seenAt = now; }
+
+  if (bot.mode === 'cover' && now - bot.coverAt < BOT_COVER_MS) return;   // stay hidden a moment
+
+  // Reloading or badly hurt with an enemy in sight: break line of sight
+  if (target && (p.reloading || p.health < p.maxHp * BOT_COVER_HP) && now - bot.coverAt > BOT_COVER_MS * 3) {
+    const cell = findCover(room, p, target);
+    if (cell >= 0) {
+      botGoTo(room, p, cell, now);
+      bot.mode = 'cover';
+      bot.coverAt = now;
+      return;
+    }
+  }
+
+  if (target) {
+    bot.mode = 'fight';
+    const far = Math.hypot(target.x - p.x, target.z - p.z) > BOT_FIGHT_DIST;
+    if (!far) bot.path = [];   // close enough: strafe (botAct)
+    else if (!bot.path.length || now - bot.pathAt > 1000) botGoTo(room, p, cellAt(navFor(room.map), target.x, target.z), now);
+    if (now >= bot.strafeAt) {
+      bot.strafe   = Math.random() < 0.5 ? -1 : 1;
+      bot.strafeAt = now + 600 + Math.random() * 900;
+    }
+    return;
+  }
+
+  // Quiet moment: top up the magazine, then go about the objective
+  if (!p.reloading && p.ammo < p.maxAmmo / 2) startReload(room, p.id);
+  if (bot.mode !== 'roam' || !bot.path.length || now - bot.pathAt > 8000) botGoTo(room, p, botObjective(room, p), now);
+  bot.mode = 'roam';
+}
+
+/** Steer, aim and shoot: queues this tick's movement command for the bot */
+function botAct(room, p, now) {
+  const bot    = p.bot;
+  const target = bot.targetId && room.players[bot.targetId];
+  const fighting = target && target.alive;
+
+  // Move along the path, or circle-strafe around the target
+  while (bot.path.length && Math.hypot(bot.path[0].x - p.x, bot.path[0].z - p.z) < NAV_CELL * 0.5) bot.path.shift();
+  let mx = 0, mz = 0;
+  if (bot.path.length) {
+    mx = bot.path[0].x - p.x; mz = bot.path[0].z - p.z;
+  } else if (fighting) {
+    mx = -(target.z - p.z) * bot.strafe; mz = (target.x - p.x) * bot.strafe;
+  }
+
+  // Stuck against something for a second: hop and find a new way
+  let jump = false;
+  if (Math.hypot(p.x - bot.lastX, p.z - bot.lastZ) > 0.5) {
+    bot.lastX = p.x; bot.lastZ = p.z; bot.movedAt = now;
+  } else if ((mx || mz) && now - bot.movedAt > 1000) {
+    jump = true;
+    bot.path = [];
+    bot.strafe = -bot.strafe;
+    bot.movedAt = now;
+  }
+
+  // Look at the target's chest while fighting, along the way otherwise
+  let wantYaw = p.yaw, wantPitch = 0;
+  if (fighting) {
+    const dx = target.x - p.x, dz = target.z - p.z;
+    wantYaw   = Math.atan2(-dx, -dz);
+    wantPitch = Math.atan2(target.y + 1.1 - (p.y + PLAYER_H), Math.hypot(dx, dz));
+  } else if (mx || mz) {
+    wantYaw = Math.atan2(-mx, -mz);
+  }
+  const turn  = BOT_DIFFICULTY.turnRate * dt;
+  const yaw   = p.yaw + Math.max(-turn, Math.min(turn, angleDelta(wantYaw, p.yaw)));
+  const pitch = p.pitch + Math.max(-turn, Math.min(turn, wantPitch - p.pitch));
+  p.inputs.push({ seq: p.lastSeq + 1, vx: mx, vz: mz, yaw, pitch, jump });
+
+  // Fire once the reaction time is up and the crosshair is roughly on target
+  if (fighting && now - bot.seenAt >= BOT_DIFFICULTY.reactionMs && Math.abs(angleDelta(wantYaw, yaw)) < 0.15) {
+    const err = BOT_DIFFICULTY.aimError;
+    const d = viewDir(yaw + (Math.random() - 0.5) * 2 * err, pitch + (Math.random() - 0.5) * 2 * err);
+    fireWeapon(room, p, d.x, d.y, d.z, 0);
+  }
+}
+
+// ─────────────────────────────────────────────
+// BROADCAST LOOP — 20Hz per room  (binary delta snapshots)
+//
+// Three kinds of state message:
+//   'roster'  — JSON, static per-player fields (name, character, color,
+//               team, weapon, maxHp, maxAmmo) keyed by a small index;
+//               sent to the room only when something in it changes
+//   'gs_meta' — JSON, mode state (team scores, flags, hill, round, match);
+//               sent only when it changes. Timers are absolute server
+//               times (`endsAt`) so they don't change every tick
+//   'gs'      — binary, per client: positions, angles, health, ammo ...
+//               quantized, and delta-encoded against the last snapshot
+//               that client acknowledged (`ack` on its 'mv' commands)
+//
+// 'gs' layout (little-endian):
+//   u8 version | u32 tick | f64 server time | u32 base tick (0 = full)
+//   u32 input ack | u8 player count
+//   per player: u8 index | u16 changed-field mask | changed fields
+//   u16 bullet count | per bullet: u16 id | i16 x,y,z | u8 owner index
+// ─────────────────────────────────────────────
+const STATE_VERSION   = 1;
+const SNAPSHOT_BUFFER = 32;   // snapshots kept as delta baselines (~1.6s)
+
+// [name, bytes, signed, scale] — mirrored by STATE_FIELDS in client.js
+const STATE_FIELDS = [
+  ['x', 2, true, 100], ['y', 2, true, 100], ['z', 2, true, 100],
+  ['yaw', 2, true, 10000], ['pitch', 2, true, 10000], ['vy', 2, true, 100],
+  ['hp', 1], ['flags', 1], ['kills', 2], ['score', 2], ['money', 2], ['armor', 1], ['ammo', 1]
+];
+const STATE_FLAGS = { alive: 1, reloading: 2, onGround: 4, ready: 8, hidden: 16 };
+
+/** Lowest player index not in use in this room */
+function freeIndex(room) {
+  const used = new Set(Object.values(room.players).map(p => p.idx));
+  let idx = 0;
+  while (used.has(idx)) idx++;
+  return idx;
+}
+
+function quantize(value, [, bytes, signed, scale = 1]) {
+  const max = signed ? (bytes === 2 ? 32767 : 127) : (bytes === 2 ? 65535 : 255);
+  const min = signed ? -max : 0;
+  return Math.max(min, Math.min(max, Math.round(value * scale)));
+}
+
+/** A player's dynamic fields, quantized in STATE_FIELDS order */
+function playerFields(p) {
+  let flags = 0;
+  for (const key in STATE_FLAGS) if (p[key]) flags |= STATE_FLAGS[key];
+  const values = {
+    x: p.x, y: p.y, z: p.z,
+    yaw: Math.atan2(Math.sin(p.yaw), Math.cos(p.yaw)),   // wrap to ±π
+    pitch: p.pitch, vy: p.vy,
+    hp: Math.max(0, Math.ceil(p.health)), flags,
+    kills: p.kills, score: p.score, money: p.money,
+    armor: Math.ceil(p.armor), ammo: p.ammo
+  };
+  return STATE_FIELDS.map(f => quantize(values[f[0]], f));
+}
+
+function encodeSnapshot(snap, base, inputAck) {
+  const bulletBytes = 9 * snap.bullets.length;
+  const buf  = new ArrayBuffer(23 + snap.players.size * 25 + 2 + bulletBytes);
+  const view = new DataView(buf);
+  let o = 0;
+  view.setUint8(o, STATE_VERSION); o += 1;
+  view.setUint32(o, snap.tick, true); o += 4;
+  view.setFloat64(o, snap.t, true); o += 8;
+  view.setUint32(o, base ? base.tick : 0, true); o += 4;
+  view.setUint32(o, inputAck, true); o += 4;
+  view.setUint8(o, snap.players.size); o += 1;
+
+  snap.players.forEach((values, idx) => {
+    const prev = base && base.players.get(idx);
+    let mask = 0;
+    values.forEach((v, i) => { if (!prev || prev[i] !== v) mask |= 1 << i; });
+    view.setUint8(o, idx); o += 1;
+    view.setUint16(o, mask, true); o += 2;
+    values.forEach((v, i) => {
+      if (!(mask & (1 << i))) return;
+      const [, bytes, signed] = STATE_FIELDS[i];
+      if (bytes === 2) signed ? view.setInt16(o, v, true) : view.setUint16(o, v, true);
+      else             signed ? view.setInt8(o, v)        : view.setUint8(o, v);
+      o += bytes;
+    });
+  });
+
+  view.setUint16(o, snap.bullets.length, true); o += 2;
+  for (const b of snap.bullets) {
+    view.setUint16(o, b.id, true);
+    view.setInt16(o + 2, b.x, true);
+    view.setInt16(o + 4, b.y, true);
+    view.setInt16(o + 6, b.z, true);
+    view.setUint8(o + 8, b.owner);
+    o += 9;
+  }
+  return buf.slice(0, o);
+}
+
+/** Send 'roster' if any static player field changed since the last one */
+function sendRoster(room) {
+  const players = Object.values(room.players).map(p => ({
+    idx: p.idx, id: p.id, name: p.name, character: p.character, color: p.color,
+    team: p.team, weapon: p.weapon, maxHp: p.maxHp, maxAmmo: p.maxAmmo
+  }));
+  const json = JSON.stringify(players);
+  if (json === room.rosterJson) return;
+  room.rosterJson = json;
+  io.to(room.channel).emit('roster', { players });
+}
+
+/** Send 'gs_meta' if the mode state changed since the last one */
+function sendMeta(room) {
+  const meta = {
+    teamScores: isTeamMode(room) ? room.teamScores : null,
+    // A carried flag's position follows its carrier — the client fills it in
+    flags: room.settings.mode === 'ctf'
+      ? Object.values(room.flags).map(f => ({
+          team: f.team,
+          x: f.carrierId ? null : +f.x.toFixed(2),
+          y: f.carrierId ? null : +f.y.toFixed(2),
+          z: f.carrierId ? null : +f.z.toFixed(2),
+          carrierId: f.carrierId, atBase: f.atBase
+        }))
+      : null,
+    hill: HILL_MODES.includes(room.settings.mode)
+      ? {
+          owner: room.hill.owner, capturer: room.hill.capturer,
+          progress: +room.hill.progress.toFixed(2), contested: room.hill.contested
+        }
+      : null,
+    round: room.settings.mode === 'elim'
+      ? { phase: room.round.phase, number: room.round.number, endsAt: room.round.phaseEndsAt }
+      : null,
+    match: { phase: room.match.phase, endsAt: room.match.phaseEndsAt || null }
+  };
+  const json = JSON.stringify(meta);
+  if (json === room.metaJson) return;
+  room.metaJson = json;
+  io.to(room.channel).emit('gs_meta', meta);
+}
+
+function broadcastState(room) {
+  if (room.gameOver) return;
+  sendRoster(room);
+  sendMeta(room);
+
+  const now  = Date.now();
+  const tick = room.tick;
+  const fields = {};
+  for (const id in room.players) fields[id] = playerFields(room.players[id]);
+  const bullets = Object.values(room.bullets);
+
+  // Each client gets its own snapshot: players it can't see are sent
+  // without a position, and bullets only if it could see them
+  for (const id in room.players) {
+    const viewer = room.players[id];
+    if (viewer.bot) continue;
+    updateRelevance(room, viewer, now);
+
+    const snap = { tick, t: now, players: new Map(), bullets: [] };
+    for (const pid in room.players) {
+      const seen = canSee(viewer, pid, now);
+      snap.players.set(room.players[pid].idx, seen ? fields[pid] : hiddenFields(fields[pid]));
+    }
+    for (const b of bullets) {
+      if (!canSee(viewer, b.ownerId, now) && !pointVisible(room, viewer, b.x, b.y, b.z)) continue;
+      const owner = room.players[b.ownerId];
+      snap.bullets.push({
+        id: b.id & 0xffff,
+        x: quantize(b.x, STATE_FIELDS[0]), y: quantize(b.y, STATE_FIELDS[1]), z: quantize(b.z, STATE_FIELDS[2]),
+        owner: owner ? owner.idx : 255
+      });
+    }
+
+    viewer.snapshots.set(tick, snap);
+    if (viewer.snapshots.size > SNAPSHOT_BUFFER) viewer.snapshots.delete(viewer.snapshots.keys().next().value);
+    const base = viewer.snapshotAck && viewer.snapshots.get(viewer.snapshotAck);   // tick 0 is never a baseline
+    io.to(id).emit('gs', encodeSnapshot(snap, base, viewer.lastSeq));
+  }
+}
+
+// ─────────────────────────────────────────────
+// INTEREST MANAGEMENT
+// A client only gets positions for players it could plausibly see:
+// itself, teammates, flag carriers, anyone within RELEVANCE_NEAR, and
+// anyone within RELEVANCE_RANGE with a clear line of sight (eye to head
+// or chest, tested against the map's boxes). Once seen, a player stays
+// relevant for RELEVANCE_GRACE_MS so they don't pop in and out at
+// corners. Everyone else is sent as `hidden` with no position, which
+// saves bandwidth and leaves a modified client nothing to wallhack with.
+// ─────────────────────────────────────────────
+const RELEVANCE_RANGE    = 70;     // max distance anyone is sent at all
+const RELEVANCE_NEAR     = 8;      // always sent this close (footsteps range)
+const RELEVANCE_GRACE_MS = 1000;
+
+/** Is the segment from the viewer's eye to (x, y, z) free of map boxes? */
+function pointVisible(room, viewer, x, y, z) {
+  const ox = viewer.x, oy = viewer.y + PLAYER_H, oz = viewer.z;
+  const dx = x - ox, dy = y - oy, dz = z - oz;
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (dist > RELEVANCE_RANGE) return false;
+  if (dist < 1e-6) return true;
+  for (const box of room.map.boxes) {
+    if (rayHitsBox(ox, oy, oz, dx / dist, dy / dist, dz / dist, box, dist)) return false;
+  }
+  return true;
+}
+
+function isRelevant(room, viewer, target) {
+  if (isTeamMode(room) && viewer.team === target.team) return true;
+  if (room.settings.mode === 'ctf' && Object.values(room.flags).some(f => f.carrierId === target.id)) return true;
+  const dx = target.x - viewer.x, dz = target.z - viewer.z;
+  const distSq = dx * dx + dz * dz;
+  if (distSq < RELEVANCE_NEAR * RELEVANCE_NEAR) return true;
+  if (distSq > RELEVANCE_RANGE * RELEVANCE_RANGE) return false;
+  return pointVisible(room, viewer, target.x, target.y + 1.45, target.z) ||   // head
+         pointVisible(room, viewer, target.x, target.y + 0.9,  target.z);     // chest
+}
+
+/** Refresh which players `viewer` may see, extending their grace period */
+function updateRelevance(room, viewer, now) {
+  for (const id in viewer.seenUntil) {
+    if (!room.players[id]) delete viewer.seenUntil[id];
+  }
+  for (const id in room.players) {
+    if (id === viewer.id) continue;
+    if (isRelevant(room, viewer, room.players[id])) viewer.seenUntil[id] = now + RELEVANCE_GRACE_MS;
+  }
+}
+
+function canSee(viewer, id, now) {
+  return id === viewer.id || (viewer.seenUntil[id] || 0) > now;
+}
+
+/** A player's fields with everything positional blanked out */
+function hiddenFields(values) {
+  const hidden = values.slice();
+  for (const name of ['x', 'y', 'z', 'yaw', 'pitch', 'vy']) {
+    hidden[STATE_FIELDS.findIndex(f => f[0] === name)] = 0;
+  }
+  hidden[STATE_FIELDS.findIndex(f => f[0] === 'flags')] |= STATE_FLAGS.hidden;
+  return hidden;
+}
+
+/** Emit to the shooter and everyone who can currently see them */
+function emitToWatchers(room, subjectId, event, data) {
+  const now = Date.now();
+  for (const id in room.players) {
+    if (canSee(room.players[id], subjectId, now)) io.to(id).emit(event, data);
+  }
+}
+
+// ─────────────────────────────────────────────
+// NETWORK STATS
+// Every socket pings once a second with 'ping_custom' { seq, t } (t is
+// the client's clock) and gets 'pong_custom' back with the server time
+// and its current stats. The next ping echoes that server time along
+// with how long the client held it, which lets the server time the round
+// trip on its own clock. Kept per socket in socket.data.net (and p.net
+// while in a room) for server logic such as lag compensation:
+//   rtt     smoothed round trip (ms)
+//   jitter  smoothed change between consecutive round trips (ms)
+//   offset  server clock − client clock (ms)
+//   loss    share of the last NET_LOSS_WINDOW pings that never arrived
+// ─────────────────────────────────────────────
+const NET_LOSS_WINDOW = 20;
+const NET_SMOOTHING   = 0.2;   // weight of each new sample in the running averages
+
+function createNetStats() {
+  return { rtt: 0, jitter: 0, offset: 0, loss: 0, samples: 0, seqs: [] };
+}
+
+/** Fold one 'ping_custom' into `net` */
+function recordPing(net, { seq, t, echo, held }, now) {
+  // Loss: gaps in the sequence numbers of the last NET_LOSS_WINDOW pings
+  if (!net.seqs.includes(seq)) net.seqs.push(seq);
+  net.seqs.sort((a, b) => a - b);
+  while (net.seqs.length && net.seqs[net.seqs.length - 1] - net.seqs[0] >= NET_LOSS_WINDOW) net.seqs.shift();
+  const span = net.seqs[net.seqs.length - 1] - net.seqs[0] + 1;
+  net.loss = 1 - net.seqs.length / span;
+
+  if (echo === undefined) return;
+  const rtt = now - echo - (held || 0);
+  if (rtt < 0 || rtt > 10000) return;   // clocks don't run backwards; ignore nonsense
+  if (!net.samples) {
+    net.rtt = rtt;
+  } else {
+    net.jitter += (Math.abs(rtt - net.rtt) - net.jitter) * NET_SMOOTHING;
+    net.rtt    += (rtt - net.rtt) * NET_SMOOTHING;
+  }
+  net.offset = now - net.rtt / 2 - t;
+  net.samples++;
+}
+
+// ─────────────────────────────────────────────
+// CHAT
+// 'chat' { text, team } goes to the whole room, or with `team` set (team
+// modes only) to the sender's teammates. Text is cleaned, capped at
+// CHAT_MAX_LEN and run through CHAT_FILTERS in order; the rate limit is
+// the 'chat' entry in EVENT_RULES.
+// TO ADD A FILTER: push a function (text, player) → text to CHAT_FILTERS;
+// return an empty string to drop the message.
+// ─────────────────────────────────────────────
+const CHAT_MAX_LEN = 120;
+
+// Whole words masked by the default filter; CHAT_BLOCKED_WORDS (comma
+// separated) in the environment replaces the list.
+const CHAT_BLOCKED_WORDS = (process.env.CHAT_BLOCKED_WORDS ?? 'fuck,shit,cunt,bitch')
+  .split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+
+/** Default filter: replace blocked words with asterisks */
+function maskBlockedWords(text) {
+  return text.replace(/[A-Za-z]+/g, w => CHAT_BLOCKED_WORDS.includes(w.toLowerCase()) ? '*'.repeat(w.length) : w);
+}
+
+const CHAT_FILTERS = [maskBlockedWords];
+
+/** Clean, filter and deliver one chat message from `p` */
+function sendChat(room, p, text, teamOnly) {
+  text = text.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().substring(0, CHAT_MAX_LEN);
+  for (const filter of CHAT_FILTERS) {
+    if (!text) return;
+    text = filter(text, p);
+  }
+  if (!text) return;
+
+  const team = teamOnly && isTeamMode(room) && p.team;
+  const msg  = { name: p.name, character: p.character, team: p.team, channel: team ? 'team' : 'all', text };
+  if (!team) { io.to(room.channel).emit('chat', msg); return; }
+  for (const id in room.players) {
+    if (room.players[id].team === team) io.to(id).emit('chat', msg);
+  }
+}
+
+// ─────────────────────────────────────────────
+// ANTI-CHEAT
+// The server already owns movement, hits and timing; these checks catch
+// clients lying about what they send. Malformed values are dropped, and
+// anything a real client can't produce (aim that doesn't match the view,
+// instant turns, more input commands than the clock allows, a tick's
+// movement that its applied steps can't explain) adds to the player's
+// suspicion score. Every flag is logged; a score that reaches
+// SUSPICION_KICK gets the socket kicked.
+//
+// Clients never send a position: 'mv' only carries a direction, which
+// applyInput normalizes to the character's speed. The teleport check
+// (checkMovement) compares each tick's position change with what the
+// steps applied in it allow, so a correction that jumps a player —
+// whatever let it through — is flagged rather than trusted.
+// ─────────────────────────────────────────────
+
+/** True when every argument is a finite number */
+function allFinite(...vals) {
+  return vals.every(Number.isFinite);
+}
+
+/** Shortest signed difference between two angles */
+function angleDelta(a, b) {
+  const d = (a - b) % (Math.PI * 2);
+  return d > Math.PI ? d - Math.PI * 2 : d < -Math.PI ? d + Math.PI * 2 : d;
+}
+
+/** Unit look vector for a yaw/pitch pair (same Euler order as the client camera) */
+function viewDir(yaw, pitch) {
+  const c = Math.cos(pitch);
+  return { x: -Math.sin(yaw) * c, y: Math.sin(pitch), z: -Math.cos(yaw) * c };
+}
+
+/** Add `reason`'s weight to the player's suspicion; kick at SUSPICION_KICK */
+function suspect(socket, p, reason, detail = '') {
+  const now = Date.now();
+  const ac  = p.anticheat;
+  ac.score = Math.max(0, ac.score - (now - ac.scoredAt) / 1000 * SUSPICION_DECAY) + SUSPICION[reason];
+  ac.scoredAt = now;
+  console.warn(`  ! ${p.name} (${socket.id}) ${reason}${detail ? ` ${detail}` : ''} — suspicion ${ac.score.toFixed(1)}`);
+
+  if (ac.score >= SUSPICION_KICK) {
+    console.warn(`  ! Kicking ${p.name} (${socket.id}): suspicion ${ac.score.toFixed(1)}`);
+    socket.emit('kicked', { reason: 'Kicked by anti-cheat' });
+    socket.disconnect(true);
+  }
+}
+
+/**
+ * Flag `p` if this tick moved it further from `from` than `steps` applied
+ * steps allow: speed across the floor, a jump or a step-up upwards, plus
+ * MOVE_SLACK for collision push-out. Bots have no socket and aren't checked.
+ */
+function checkMovement(p, from, steps) {
+  const socket = p.socketId && io.sockets.sockets.get(p.socketId);
+  if (!socket) return;
+  const across = Math.hypot(p.x - from.x, p.z - from.z);
+  const rise   = p.y - from.y;
+  if (across > steps * p.speed * dt + MOVE_SLACK) {
+    suspect(socket, p, 'teleport', `${across.toFixed(2)} units in ${steps} step(s)`);
+  } else if (rise > steps * (JUMP_FORCE * dt + STEP_HEIGHT) + MOVE_SLACK) {
+    suspect(socket, p, 'teleport', `${rise.toFixed(2)} units up in ${steps} step(s)`);
+  }
+}
+
+/**
+ * Check one 'mv' command. Returns false if it must be dropped.
+ * Turn rate is only judged while alive — respawns reset the camera.
+ */
+function checkInput(socket, p, { seq, vx, vz, yaw, pitch }) {
+  if (!Number.isInteger(seq) || !allFinite(vx, vz, yaw, pitch)) {
+    suspect(socket, p, 'invalid', 'input');
+    return false;
+  }
+
+  // More commands per second than the client's fixed step can produce
+  const now = Date.now();
+  const ac  = p.anticheat;
+  if (now - ac.windowStart >= 1000) { ac.windowStart = now; ac.windowCount = 0; }
+  if (++ac.windowCount > INPUT_RATE_MAX) {
+    if (ac.windowCount === INPUT_RATE_MAX + 1) suspect(socket, p, 'flood', `${ac.windowCount} inputs/s`);
+    return false;
+  }
+
+  if (p.alive && ac.viewAt) {
+    const turn = Math.abs(angleDelta(yaw, ac.viewYaw)) + Math.abs(pitch - ac.viewPitch);
+    const secs = Math.max(now - ac.viewAt, 1000 / PHYSICS_HZ) / 1000;
+    if (turn / secs > MAX_TURN_RATE) suspect(socket, p, 'turn', `${turn.toFixed(2)} rad`);
+  }
+  ac.viewYaw   = yaw;
+  ac.viewPitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch));
+  ac.viewAt    = p.alive ? now : 0;
+  return true;
+}
+
+/** Check one 'shoot' direction against the last reported view. Returns false to drop it. */
+function checkShot(socket, p, { dx, dy, dz, t }) {
+  if (!allFinite(dx, dy, dz) || (t !== undefined && !Number.isFinite(t))) {
+    suspect(socket, p, 'invalid', 'shot');
+    return false;
+  }
+  const len = Math.sqrt(dx*dx + dy*dy + dz*dz);
+  if (len === 0) return false;
+
+  const ac = p.anticheat;
+  if (!ac.viewAt) return true;   // no view reported since spawning yet
+  const v   = viewDir(ac.viewYaw, ac.viewPitch);
+  const dot = Math.max(-1, Math.min(1, (dx * v.x + dy * v.y + dz * v.z) / len));
+  if (Math.acos(dot) > AIM_TOLERANCE) {
+    suspect(socket, p, 'aim', `${Math.acos(dot).toFixed(2)} rad off view`);
+    return false;
+  }
+  return true;
+}
+
+// ─────────────────────────────────────────────
+// PAYLOAD VALIDATION & RATE LIMITS
+// Every client event goes through `handle`: its payload must match the
+// event's schema and the socket must have a token left in that event's
+// bucket, otherwise the message is dropped. Dropped messages drain a
+// per-socket abuse bucket; emptying it disconnects the socket.
+// TO ADD AN EVENT: give it an entry here and register it with `on(...)`.
+//
+// Schema types: 'int', 'number' (finite), 'string' (≤ MAX_STRING_LEN),
+// 'boolean', 'object' (not null or an array); a trailing '?' lets the
+// field be left out. null is never accepted, for fields or whole payloads.
+// Events without a schema ignore their payload.
+//
+// Fields used as lookup keys get their own types, so a name like
+// "constructor" never reaches a handler: 'character' and 'item' must be
+// own keys of CHARACTERS / SHOP, 'token' must look like a session token.
+// Room ids are free text (sanitizeRoomId cleans them) and are looked up
+// in the prototype-free `rooms`. A handler that throws anyway is logged
+// and the event dropped, so it can't take the process down.
+// ─────────────────────────────────────────────
+const MAX_STRING_LEN = 200;   // handlers trim further (names, passwords, chat)
+const ABUSE_LIMIT    = { rate: 2, burst: 30 };   // dropped messages forgiven per second / tolerated at once
+
+const JOIN_SCHEMA = { name: 'string?', character: 'character?', roomId: 'string?', password: 'string?', settings: 'object?' };
+
+const EVENT_RULES = {
+  list_rooms:  { rate: 2,  burst: 5 },
+  join:        { rate: 1,  burst: 3,  schema: JOIN_SCHEMA },
+  create_room: { rate: 1,  burst: 3,  schema: JOIN_SCHEMA },
+  mv:          { rate: INPUT_RATE_MAX, burst: PHYSICS_HZ / 2,
+                 schema: { seq: 'int', vx: 'number', vz: 'number', yaw: 'number', pitch: 'number', jump: 'boolean?', ack: 'int?' } },
+  shoot:       { rate: 20, burst: 10, schema: { dx: 'number', dy: 'number', dz: 'number', t: 'number?' } },
+  buy:         { rate: 5,  burst: 10, schema: { item: 'item' } },
+  reload:      { rate: 2,  burst: 5 },
+  ready:       { rate: 2,  burst: 5,  schema: { ready: 'boolean' } },
+  new_game:    { rate: 1,  burst: 3 },
+  map_vote:    { rate: 2,  burst: 5,  schema: { choice: 'int' } },
+  chat:        { rate: 1,  burst: 4,  schema: { text: 'string', team: 'boolean?' } },
+  resume:      { rate: 1,  burst: 3,  schema: { token: 'token' } },
+  ping_custom: { rate: 2,  burst: 5,  schema: { seq: 'int', t: 'number', echo: 'number?', held: 'number?' } }
+};
+
+const TYPE_CHECKS = {
+  int:     v => Number.isInteger(v),
+  number:  v => Number.isFinite(v),
+  string:  v => typeof v === 'string' && v.length <= MAX_STRING_LEN,
+  boolean: v => typeof v === 'boolean',
+  object:  v => typeof v === 'object' && v !== null && !Array.isArray(v),
+  character: v => typeof v === 'string' && Object.hasOwn(CHARACTERS, v),
+  item:    v => typeof v === 'string' && Object.hasOwn(SHOP, v),
+  token:   v => typeof v === 'string' && /^[0-9a-f]{32}$/.test(v)   // crypto.randomBytes(16) as hex
+};
+
+/** Does `payload` fit `schema`? Extra fields are allowed and ignored. */
+function validPayload(schema, payload) {
+  if (!TYPE_CHECKS.object(payload)) return false;
+  for (const key in schema) {
+    const type = schema[key];
+    const v    = payload[key];
+    if (type.endsWith('?') && v === undefined) continue;
+    if (!TYPE_CHECKS[type.replace('?', '')](v)) return false;
+  }
+  return true;
+}
+
+/** Refill a token bucket by elapsed time and take one token if there is one */
+function takeToken(bucket, { rate, burst }, now) {
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.at) / 1000 * rate);
+  bucket.at = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens--;
+  return true;
+}
+
+/** Count a dropped message against the socket; disconnect once the abuse bucket is empty */
+function rejectMessage(socket, event, why) {
+  const now = Date.now();
+  const buckets = socket.data.buckets;
+  buckets.abuse = buckets.abuse || { tokens: ABUSE_LIMIT.burst, at: now };
+  if (takeToken(buckets.abuse, ABUSE_LIMIT, now)) return;
+  console.warn(`  ! Disconnecting ${socket.id}: too many rejected messages (last: ${event} ${why})`);
+  socket.emit('kicked', { reason: 'Too many invalid or rate-limited messages' });
+  socket.disconnect(true);
+}
+
+/** Register `handler` for `event` behind its schema and rate limit */
+function handle(socket, event, handler) {
+  const rule = EVENT_RULES[event];
+  socket.on(event, payload => {
+    const now = Date.now();
+    const bucket = socket.data.buckets[event] = socket.data.buckets[event] || { tokens: rule.burst, at: now };
+    if (!takeToken(bucket, rule, now)) return rejectMessage(socket, event, 'rate limited');
+    if (rule.schema && !validPayload(rule.schema, payload)) return rejectMessage(socket, event, 'bad payload');
+    try {
+      handler(rule.schema ? payload : undefined);
+    } catch (err) {
+      console.error(`  ! ${event} from ${socket.id} failed:`, err);
+    }
+  });
+}
+
+// ─────────────────────────────────────────────
+// SOCKET EVENTS
+// ─────────────────────────────────────────────
+
+/** Spawn a fresh player for this socket in `room` and tell everyone */
+function addPlayerToRoom(socket, room, name, character) {
+  const p = createPlayer(room, socket.id, name, character);
+  p.net = socket.data.net;
+  p.socketId = socket.id;   // the connection currently playing it (changes on resume)
+
+  socket.leave(LOBBY_CHANNEL);
+  socket.join(room.channel);
+  socket.data.roomId   = room.id;
+  socket.data.playerId = socket.id;
+  room.metaJson = null;   // the newcomer needs the current mode state too
+
+  sessions[p.session] = { roomId: room.id, playerId: p.id };
+  console.log(`  > ${p.name} joined ${room.id} as ${p.character}${p.team ? ` (${p.team})` : ''}`);
+  sendJoined(socket, room, p, false);
+  io.to(room.channel).emit('player_joined', { name: p.name, character: p.character, team: p.team });
+  fillBots(room);   // a bot makes way for the newcomer
+  broadcastRoomList();
+}
+
+/** Add a new player with id `id` to `room` (humans and bots alike) */
+function createPlayer(room, id, name, character) {
+  if (!Object.hasOwn(CHARACTERS, character)) {
+    character = Object.keys(CHARACTERS)[0];
+  }
+  const ch   = CHARACTERS[character];
+  const team = isTeamMode(room) ? smallerTeam(room) : null;
+  const sp   = spawnFor(room, { team });
+  // Joining an Elimination round already under way means sitting it out
+  const spectating = room.settings.mode === 'elim' && ['live', 'end'].includes(room.round.phase);
+
+  room.players[id] = {
+    id,
+    idx: freeIndex(room),   // short id used in binary 'gs'
+    name: normalizeName(room, name),
+    character,
+    color: ch.color,
+    team,
+    x: sp.x, y: 0, z: sp.z,
+    vx: 0, vy: 0, vz: 0,
+    yaw: 0, pitch: 0,
+    inputs: [], lastSeq: 0,
+    stalledTicks: 0,        // physics ticks since the last input command
+    extrapolated: 0,        // ticks moved without input, still to be matched by late commands
+    snapshots: new Map(),   // recent 'gs' sent to this client by tick (delta baselines)
+    snapshotAck: 0,         // last 'gs' tick this client has
+    seenUntil: {},          // player id → time they stop being relevant to this client
+    session: crypto.randomBytes(16).toString('hex'),   // lets the client resume after a dropped connection
+    connected: true,
+    dropTimer: null,
+    net: null,              // the socket's NETWORK STATS (none for bots)
+    anticheat: { score: 0, scoredAt: Date.now(), windowStart: 0, windowCount: 0, viewYaw: 0, viewPitch: 0, viewAt: 0 },
+    speed: ch.speed,
+    health: ch.maxHp, maxHp: ch.maxHp,
+    ...weaponStats(ch.weapon),
+    ammo: ch.maxAmmo,
+    armor: 0,
+    money: START_MONEY,
+    lastShot: 0,
+    alive: !spectating,
+    kills: 0,
+    score: 0,
+    ready: false,
+    reloading: false,
+    onGround: true
+  };
+  return room.players[id];
+}
+
+/** Tell a client it's in `room` as `p` (also after resuming a session) */
+function sendJoined(socket, room, p, resumed) {
+  // Map first, so the scene exists by the time 'joined' starts the game
+  socket.emit('map_data', { ...mapPayload(room.map), characters: CHARACTERS });
+  socket.emit('joined', {
+    id: p.id,
+    name: p.name,
+    session: p.session,
+    resumed,
+    roomId: room.id,
+    isPrivate: room.isPrivate,
+    settings: room.settings,
+    shop: room.settings.mode === 'elim' ? SHOP : null
+  });
+}
+
+io.on('connection', socket => {
+  console.log(`[+] Connected: ${socket.id}`);
+  socket.data.roomId = null;
+  socket.data.buckets = {};   // token buckets per event (see handle)
+  socket.data.net = createNetStats();
+  const on = (event, handler) => handle(socket, event, handler);
+
+  // Lobby sockets get the map choices, plus the room listing now and on every change
+  socket.emit('map_list', mapList());
+  socket.join(LOBBY_CHANNEL);
+  socket.emit('room_list', roomList());
+
+  on('list_rooms', () => {
+    socket.emit('room_list', roomList());
+  });
+
+  // ── JOIN ──
+  // roomId is optional: blank joins DEFAULT_ROOM, an unknown id opens a new
+  // public room with `settings`. Private rooms are joined by code plus password.
+  on('join', ({ name, character, roomId, password, settings }) => {
+    const id = sanitizeRoomId(roomId) || DEFAULT_ROOM;
+    const existing = rooms[id];
+    // Already there: leaving first could empty and delete the room, and
+    // recreating it from this join's settings would drop its privacy and password
+    if (existing && existing === socketRoom(socket)) return;
+    if (existing) {
+      if (humanCount(existing) >= existing.settings.maxPlayers) {
+        socket.emit('join_error', { message: `Room "${id}" is full` });
+        return;
+      }
+      if (existing.password && existing.password !== password) {
+        socket.emit('join_error', { message: 'Wrong room password' });
+        return;
+      }
+    }
+
+    leaveRoom(socket);
+    addPlayerToRoom(socket, rooms[id] || createRoom(id, { settings }), name, character);
+  });
+
+  // ── CREATE PRIVATE ROOM ──
+  // Creator joins immediately; others need the returned code (and password).
+  on('create_room', ({ name, character, password, settings }) => {
+    leaveRoom(socket);
+    const room = createRoom(generateRoomCode(), {
+      isPrivate: true,
+      password:  typeof password === 'string' ? password.substring(0, MAX_PASSWORD_LEN) : '',
+      settings
+    });
+    addPlayerToRoom(socket, room, name, character);
+  });
+
+  // ── MOVEMENT INPUT ──
+  // One command per client physics tick: sequence number, normalized
+  // direction, look angles and jump. Queued and applied in stepPhysics.
+  // `ack` is the newest 'gs' tick the client has decoded.
+  on('mv', ({ seq, vx, vz, yaw, pitch, jump, ack }) => {
+    const room = socketRoom(socket);
+    const p = room && room.players[socket.data.playerId];
+    if (!p) return;
+    if (p.snapshots.has(ack)) p.snapshotAck = ack;
+    if (!checkInput(socket, p, { seq, vx, vz, yaw, pitch })) return;
+    if (!p.alive || !(seq > p.lastSeq)) return;
+
+    pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch));
+    p.inputs.push({ seq, vx, vz, yaw, pitch, jump: !!jump });
+  });
+
+  // ── SHOOT ──
+  // `t` is the server time the shooter was seeing (for lag compensation)
+  on('shoot', ({ dx, dy, dz, t }) => {
+    const room = socketRoom(socket);
+    const p = room && room.players[socket.data.playerId];
+    if (!p || !checkShot(socket, p, { dx, dy, dz, t })) return;
+    const len = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    fireWeapon(room, p, dx / len, dy / len, dz / len, rewindFor(t, p.net));
+  });
+
+  // ── BUY (Elimination buy phase) ──
+  on('buy', ({ item }) => {
+    const room = socketRoom(socket);
+    const p = room && room.players[socket.data.playerId];
+    if (!p || room.settings.mode !== 'elim') return;
+    socket.emit('buy_result', buyItem(room, p, item));
+  });
+
+  // ── RELOAD ──
+  on('reload', () => {
+    const room = socketRoom(socket);
+    const p = room && room.players[socket.data.playerId];
+    if (!p || p.reloading || p.ammo >= p.maxAmmo) return;
+    startReload(room, socket.data.playerId);
+  });
+
+  // ── READY UP (warmup only) ──
+  on('ready', ({ ready }) => {
+    const room = socketRoom(socket);
+    const p = room && room.players[socket.data.playerId];
+    if (!p || room.match.phase !== 'warmup') return;
+    p.ready = !!ready;
+  });
+
+  // ── CHAT ──
+  on('chat', ({ text, team }) => {
+    const room = socketRoom(socket);
+    const p = room && room.players[socket.data.playerId];
+    if (!p) return;
+    sendChat(room, p, text, !!team);
+  });
+
+  // ── PING / TIME SYNC ──
+  on('ping_custom', ping => {
+    const net = socket.data.net;
+    recordPing(net, ping, Date.now());
+    socket.emit('pong_custom', {
+      seq: ping.seq, t: ping.t, serverTime: Date.now(),
+      rtt: Math.round(net.rtt), jitter: Math.round(net.jitter), loss: +net.loss.toFixed(2)
+    });
+  });
+
+  // ── NEW GAME ──
+  // Next map in the rotation, back to warmup: everyone has to ready up
+  // again before the next match. While a map vote runs, the vote decides.
+  on('new_game', () => {
+    const room = socketRoom(socket);
+    if (!room || !room.gameOver || room.vote) return;
+    playNext(room, nextInRotation(room));
+  });
+
+  on('map_vote', ({ choice }) => {
+    const room = socketRoom(socket);
+    const p    = room && room.players[socket.data.playerId];
+    if (p) castVote(room, p, choice);
+  });
+
+  // ── RESUME ──
+  // A client whose connection dropped reconnects with the session token
+  // from 'joined' to take its held player back.
+  on('resume', ({ token }) => {
+    if (socketRoom(socket) || !resumePlayer(socket, token)) socket.emit('resume_failed');
+  });
+
+  // Lost connections keep their player for RECONNECT_GRACE_MS;
+  // leaving on purpose or being kicked removes it right away.
+  socket.on('disconnect', reason => {
+    if (GRACE_REASONS.includes(reason) && holdPlayer(socket)) {
+      console.log(`[~] Dropped: ${socket.id} (${reason}), holding for ${RECONNECT_GRACE_MS / 1000}s`);
+      return;
+    }
+    leaveRoom(socket);
+    console.log(`[-] Disconnected: ${socket.id}`);
   });
 });
 
-function startReload(id) {
-  const p = players[id];
+/**
+ * Fire `p`'s weapon along the unit vector (dx, dy, dz) if it's ready.
+ * `rewindMs` is how far back hits are checked (lag compensation).
+ */
+function fireWeapon(room, p, dx, dy, dz, rewindMs) {
+  const now = Date.now();
+  if (!p.alive || p.reloading || p.ammo <= 0 || isFrozen(room)) return;
+  if (now - p.lastShot < p.fireRateMs) return;
+
+  p.lastShot = now;
+  p.ammo--;
+
+  if (p.fire === 'hitscan') {
+    fireHitscan(room, p, dx, dy, dz, rewindMs);
+    if (p.ammo <= 0) startReload(room, p.id);
+    return;
+  }
+
+  // Shotgun fires multiple pellets
+  const isShotgun = p.weapon === 'Shotgun';
+  const pellets   = isShotgun ? 6 : 1;
+  const spread    = isShotgun ? 0.08 : 0;
+
+  for (let i = 0; i < pellets; i++) {
+    const sdx = dx + (Math.random() - 0.5) * spread;
+    const sdy = dy + (Math.random() - 0.5) * spread;
+    const sdz = dz + (Math.random() - 0.5) * spread;
+    const len = Math.sqrt(sdx*sdx + sdy*sdy + sdz*sdz) || 1;
+
+    room.bullets[room.bulletId] = {
+      id: room.bulletId++,
+      ownerId: p.id,
+      x: p.x + dx * 1.2,
+      y: p.y + PLAYER_H * 0.85,
+      z: p.z + dz * 1.2,
+      dx: sdx / len, dy: sdy / len, dz: sdz / len,
+      damage: isShotgun ? p.damage / pellets : p.damage,
+      zoneMult: p.zoneMult,
+      color: p.color,
+      dist: 0,
+      rewindMs
+    };
+  }
+
+  if (p.ammo <= 0) startReload(room, p.id);
+}
+
+function startReload(room, id) {
+  const p = room.players[id];
   if (!p) return;
   p.reloading = true;
   setTimeout(() => {
-    if (!players[id]) return;
-    players[id].ammo = players[id].maxAmmo;
-    players[id].reloading = false;
+    if (!room.players[id]) return;
+    room.players[id].ammo = room.players[id].maxAmmo;
+    room.players[id].reloading = false;
     io.to(id).emit('reload_done');
   }, p.reloadMs);
 }